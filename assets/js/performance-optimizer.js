@@ -27,58 +27,114 @@
         };
     }
 
-    // ==================== HAMBURGER MENU ENHANCEMENTS ====================
+    /**
+     * Debounce function to delay execution until calls stop for the wait period
+     */
+    function debounce(func, wait) {
+        let timeoutId;
+        return function () {
+            const args = arguments;
+            const context = this;
+            clearTimeout(timeoutId);
+            timeoutId = setTimeout(() => func.apply(context, args), wait);
+        };
+    }
 
-    function setupHamburgerMenu() {
-        if (!hasDOM) return;
+    // ==================== FRAME SCHEDULER ====================
 
-        const hamburger = document.querySelector('.hamburger');
-        const mobileNavOverlay = document.querySelector('.mobile-nav-overlay');
-        const mobileThemeToggle = document.querySelector('.mobile-theme-toggle');
+    /**
+     * Creates a scheduler that coalesces scroll and resize events into one
+     * animation frame. Subscribers provide a `read` step (measure layout) and a
+     * `write` step (change styles); every read in a frame runs before any write
+     * so modules never force layout in between each other's writes.
+     */
+    function createFrameScheduler(options = {}) {
+        const target = options.target || (hasDOM ? window : null);
+        const requestFrame = options.requestFrame || (callback => requestAnimationFrame(callback));
+        const readState = options.readState || (() => ({
+            scrollY: window.scrollY || window.pageYOffset || 0,
+            width: window.innerWidth,
+            height: window.innerHeight
+        }));
+
+        const subscribers = new Map([['scroll', new Set()], ['resize', new Set()]]);
+        const listeners = new Map();
+        const pending = new Set();
+        let frameId = null;
+
+        function flush() {
+            frameId = null;
+            const types = Array.from(pending);
+            pending.clear();
+
+            // A task subscribed to both events still runs once per frame
+            const tasks = new Set();
+            types.forEach(type => subscribers.get(type).forEach(task => tasks.add(task)));
+            if (tasks.size === 0) return;
+
+            const state = { ...readState(), types };
+            const reads = Array.from(tasks, task => [task, task.read ? task.read(state) : undefined]);
+            reads.forEach(([task, measured]) => {
+                if (task.write) task.write(measured, state);
+            });
+        }
 
-        if (!hamburger || !mobileNavOverlay) return;
+        function schedule(type) {
+            if (!subscribers.has(type)) return;
+            pending.add(type);
+            if (frameId === null) frameId = requestFrame(flush);
+        }
 
-        const syncOverlayState = () => {
-            const isActive = mobileNavOverlay.classList.contains('active');
-            hamburger.setAttribute('aria-expanded', String(isActive));
-            mobileNavOverlay.setAttribute('aria-hidden', String(!isActive));
-            document.body.style.overflow = isActive ? 'hidden' : '';
-        };
+        function listen(type) {
+            if (!target || listeners.has(type)) return;
+            const listener = () => schedule(type);
+            listeners.set(type, listener);
+            target.addEventListener(type, listener, { passive: true });
+        }
 
-        const observer = new MutationObserver(syncOverlayState);
-        observer.observe(mobileNavOverlay, {
-            attributes: true,
-            attributeFilter: ['class']
-        });
-        syncOverlayState();
+        function unsubscribe(types, task) {
+            [].concat(types).forEach(type => {
+                const tasks = subscribers.get(type);
+                if (!tasks) return;
+                tasks.delete(task);
 
-        // Close on overlay click
-        mobileNavOverlay.addEventListener('click', (event) => {
-            if (event.target === mobileNavOverlay) {
-                hamburger.classList.remove('active');
-                mobileNavOverlay.classList.remove('active');
-            }
-        }, { passive: true });
-
-        // Close on menu link click
-        mobileNavOverlay.querySelectorAll('.mobile-menu-link').forEach((link) => {
-            link.addEventListener('click', () => {
-                hamburger.classList.remove('active');
-                mobileNavOverlay.classList.remove('active');
-            }, { passive: true });
-        });
+                if (tasks.size === 0 && listeners.has(type)) {
+                    target.removeEventListener(type, listeners.get(type));
+                    listeners.delete(type);
+                }
+            });
+        }
 
-        // Close on escape key
-        document.addEventListener('keydown', (event) => {
-            if (event.key === 'Escape' && mobileNavOverlay.classList.contains('active')) {
-                hamburger.classList.remove('active');
-                mobileNavOverlay.classList.remove('active');
-            }
-        });
+        /**
+         * Subscribes a `{ read, write }` task to 'scroll', 'resize' or both.
+         * Returns a function that unsubscribes it again.
+         */
+        function subscribe(types, task) {
+            [].concat(types).forEach(type => {
+                if (!subscribers.has(type)) throw new Error(`Unknown scheduler event "${type}"`);
+                subscribers.get(type).add(task);
+                listen(type);
+            });
 
-        if (mobileThemeToggle) {
-            mobileThemeToggle.setAttribute('aria-controls', 'theme-toggle-control');
+            return () => unsubscribe(types, task);
         }
+
+        return { subscribe, unsubscribe, schedule };
+    }
+
+    const scheduler = hasDOM ? createFrameScheduler() : null;
+
+    // ==================== MOTION PREFERENCE ====================
+
+    /**
+     * script.js resolves the OS setting and the visitor's "Reduce animations"
+     * choice into a `reduced-motion` class on <html>, and announces changes with
+     * a `vortixia:motion-change` event. Read it live rather than caching it.
+     */
+    function isReducedMotion() {
+        if (document.documentElement.classList.contains('reduced-motion')) return true;
+        if (document.documentElement.classList.contains('js')) return false;
+        return window.matchMedia('(prefers-reduced-motion: reduce)').matches;
     }
 
     // ==================== SCROLL OPTIMIZATIONS ====================
@@ -86,23 +142,21 @@
     function optimizeScroll() {
         if (!hasDOM) return;
 
-        const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
-
-        const scrollHandler = throttle(() => {
-            const scrollY = window.scrollY;
-
-            requestAnimationFrame(() => {
-                // Parallax effect for hero section
-                const heroContent = document.querySelector('.hero .container');
-                const isMobileView = window.innerWidth <= 768;
+        // Parallax effect for hero section
+        scheduler.subscribe('scroll', {
+            read: () => document.querySelector('.hero .container'),
+            write: (heroContent, { scrollY, width }) => {
+                if (!heroContent) return;
 
-                if (heroContent && !prefersReducedMotion && !isMobileView) {
+                if (isReducedMotion()) {
+                    heroContent.style.transform = '';
+                } else if (width > 768) {
                     heroContent.style.transform = `translateY(${scrollY * 0.35}px)`;
                 }
-            });
-        }, 16); // ~60fps
-
-        window.addEventListener('scroll', scrollHandler, { passive: true });
+            }
+        });
+        // Re-run the write so a new preference applies without waiting for a scroll
+        document.addEventListener('vortixia:motion-change', () => scheduler.schedule('scroll'));
     }
 
     // ==================== GSAP OPTIMIZATIONS ====================
@@ -124,7 +178,8 @@
                     duration: 1000,
                     once: true,
                     offset: 100,
-                    disable: 'mobile',
+                    // Later changes are handled by the `reduced-motion` rules in style.css
+                    disable: isReducedMotion() ? true : 'mobile',
                 });
             }
         }, 100);
@@ -135,13 +190,15 @@
     function optimizeCircles() {
         if (!hasDOM) return;
 
-        const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
-        if (prefersReducedMotion) return;
-
-        const createCircles = throttle(() => {
+        const createCircles = () => {
             const heroBackground = document.querySelector('.hero-background');
             if (!heroBackground) return;
 
+            if (isReducedMotion()) {
+                heroBackground.querySelector('.circles')?.remove();
+                return;
+            }
+
             const isMobile = window.innerWidth <= 768;
             const existing = heroBackground.querySelector('.circles');
             const currentMode = existing?.getAttribute('data-mode');
@@ -174,10 +231,13 @@
 
             circlesContainer.appendChild(fragment);
             heroBackground.appendChild(circlesContainer);
-        }, 150);
+        };
 
         createCircles();
-        window.addEventListener('resize', createCircles, { passive: true });
+        scheduler.subscribe('resize', { write: createCircles });
+        // The client-side router may swap in a page with a fresh, empty hero
+        document.addEventListener('vortixia:page-swapped', createCircles);
+        document.addEventListener('vortixia:motion-change', createCircles);
     }
 
     // ==================== PAGE VISIBILITY ====================
@@ -235,6 +295,11 @@
             this.optimizeImages();
             this.setupIntersectionObserver();
             this.preconnectToExternalDomains();
+
+            document.addEventListener('vortixia:page-swapped', () => {
+                this.optimizeImages();
+                this.setupIntersectionObserver();
+            });
         }
 
         optimizeImages() {
@@ -301,7 +366,6 @@
     function runOptimizations() {
         if (!hasDOM) return;
 
-        setupHamburgerMenu();
         setupPageVisibility();
         optimizeScroll();
         optimizeGSAPAnimations();
@@ -322,8 +386,8 @@
 
     // Export for testing
     if (typeof module !== 'undefined' && module.exports) {
-        module.exports = { throttle };
+        module.exports = { throttle, debounce, createFrameScheduler };
     } else if (typeof window !== 'undefined') {
-        window.vortixiaUtils = { throttle };
+        window.vortixiaUtils = { throttle, debounce, createFrameScheduler, scheduler };
     }
 })();
@@ -9,6 +9,8 @@
 (function () {
     'use strict';
 
+    const hasDOM = typeof window !== 'undefined' && typeof document !== 'undefined';
+
     /**
      * Main application object to encapsulate all functionalities.
      */
@@ -20,87 +22,586 @@
             // Self-executing initialization for critical UI elements
             (() => {
                 this.ui.handleNoJS();
+                // Shared chrome is rendered first so every module binds to the generated DOM
+                this.layout.render();
                 this.theme.init();
+                this.motion.init();
             })();
 
             // Defer non-critical initializations until the DOM is fully loaded
             document.addEventListener('DOMContentLoaded', () => {
                 this.navigation.init();
+                this.mobileMenu.init();
+                this.dropdowns.init();
                 this.animations.init();
                 this.ui.init();
+                this.initContent();
                 this.accessibility.init();
+                this.router.init();
+            });
+        },
+
+        /**
+         * Initializes the modules that bind to `main.page-content`. Runs on load
+         * and again after the router swaps in a new page.
+         */
+        initContent() {
+            // Role-specific questions are rendered before the form modules bind to them
+            this.applications.init().then(() => {
+                this.uploads.init();
+                this.forms.init();
+                this.drafts.init();
             });
+            // Job cards and menus may be re-rendered from the feed before filtering starts
+            this.jobs.init().then(() => this.positions.init());
+            this.portfolio.init();
+            this.teamDirectory.init();
+            this.caseStudies.init();
+        },
+
+        /**
+         * Re-runs page-level initializers after a client-side navigation. Header,
+         * mobile menu and footer persist, so only their state is refreshed.
+         */
+        refresh() {
+            this.dropdowns.closeAll();
+            this.navigation.refresh();
+            this.animations.refresh();
+            this.ui.refresh();
+            this.initContent();
+        },
+
+        /**
+         * Renders the shared header, mobile menu and footer from one site map, so
+         * adding a page means editing a single entry here. Pages provide empty
+         * `[data-layout]` shells that are filled before anything binds to them.
+         */
+        layout: {
+            siteMap: {
+                brand: {
+                    name: 'VORTIXIA',
+                    href: 'index.html',
+                    description: 'Creating innovative digital solutions for tomorrow\'s challenges.',
+                    copyright: '© 2025 Vortixia. All rights reserved.'
+                },
+                // Entries with children become dropdowns on desktop and submenu panels on mobile;
+                // `section` names the home page section the scroll-spy ties the link to
+                primary: [
+                    { label: 'Home', href: 'index.html', icon: 'fa-home', section: 'home' },
+                    { label: 'About', href: 'about.html', icon: 'fa-info-circle', section: 'about' },
+                    { label: 'Services', href: 'services.html', icon: 'fa-cogs', section: 'services' },
+                    { label: 'Projects', href: 'projects.html', icon: 'fa-project-diagram', section: 'projects' },
+                    { label: 'Team', href: 'team.html', icon: 'fa-users', section: 'team' },
+                    {
+                        label: 'Careers',
+                        id: 'careers',
+                        icon: 'fa-briefcase',
+                        heading: 'Careers Hub',
+                        children: [
+                            { label: 'Open Positions', href: 'open-positions.html', icon: 'fa-briefcase' },
+                            { label: 'Submit Resume', href: 'submit-resume.html', icon: 'fa-file-upload' },
+                            {
+                                label: 'Applications',
+                                id: 'applications',
+                                icon: 'fa-laptop-code',
+                                heading: 'Career Applications',
+                                // Replaced from the jobs feed when it loads; see jobs.renderMenus
+                                children: [
+                                    { label: 'Software Developer', href: 'application.html?role=software-developer', icon: 'fa-code' },
+                                    { label: 'Graphic Designer', href: 'application.html?role=graphic-designer', icon: 'fa-palette' },
+                                    { label: 'Data Analyst', href: 'application.html?role=data-analyst', icon: 'fa-chart-bar' },
+                                    { label: 'Cybersecurity Specialist', href: 'application.html?role=cybersecurity-specialist', icon: 'fa-shield-alt' },
+                                    { label: 'Project Manager', href: 'application.html?role=project-manager', icon: 'fa-tasks' }
+                                ]
+                            }
+                        ]
+                    },
+                    { label: 'Contact', href: 'contact.html', icon: 'fa-envelope', section: 'contact' }
+                ],
+                footer: [
+                    {
+                        title: 'Company',
+                        links: [
+                            { label: 'About Us', href: 'about.html' },
+                            { label: 'Our Team', href: 'team.html' },
+                            { label: 'Contact', href: 'contact.html' }
+                        ]
+                    },
+                    {
+                        title: 'Services',
+                        links: [
+                            { label: 'Software Development', href: 'services/software-developer.html' },
+                            { label: 'Data Analysis', href: 'services/data-analyst.html' },
+                            { label: 'Graphic Design', href: 'services/graphic-designer.html' },
+                            { label: 'Cyber Security', href: 'services/cyber-security.html' },
+                            { label: 'Project Management', href: 'services/project-manager.html' }
+                        ]
+                    },
+                    {
+                        title: 'Careers',
+                        links: [
+                            { label: 'Open Positions', href: 'open-positions.html' },
+                            { label: 'Submit Resume', href: 'submit-resume.html' }
+                        ]
+                    }
+                ],
+                social: [
+                    { label: 'GitHub', href: '#', icon: 'fab fa-github' },
+                    { label: 'X (Twitter)', href: '#', icon: 'fa-brands fa-x-twitter' },
+                    { label: 'LinkedIn', href: '#', icon: 'fab fa-linkedin' },
+                    { label: 'Instagram', href: '#', icon: 'fab fa-instagram' }
+                ]
+            },
+
+            render() {
+                const renderers = {
+                    header: () => this.renderHeader(this.siteMap),
+                    'mobile-menu': () => this.renderMobileMenu(this.siteMap),
+                    footer: () => this.renderFooter(this.siteMap)
+                };
+
+                document.querySelectorAll('[data-layout]').forEach(shell => {
+                    const renderer = renderers[shell.dataset.layout];
+                    if (renderer) shell.innerHTML = renderer();
+                });
+            },
+
+            escape(value) {
+                return VortixiaApp.jobs.escapeHtml(value);
+            },
+
+            renderThemeToggle(className) {
+                return `
+                    <div class="${className}" role="button" tabindex="0" aria-label="Change theme">
+                        <div class="icon sun"><i class="fas fa-sun"></i></div>
+                        <div class="icon moon"><i class="fas fa-moon"></i></div>
+                        <div class="toggle-switch"></div>
+                    </div>`;
+            },
+
+            renderSectionAttribute(item) {
+                return item.section ? ` data-section="${this.escape(item.section)}"` : '';
+            },
+
+            renderNavItem(item, depth = 0) {
+                const escape = value => this.escape(value);
+                if (!item.children) {
+                    return `<li><a href="${escape(item.href)}"${this.renderSectionAttribute(item)}>${escape(item.label)}</a></li>`;
+                }
+
+                const children = item.children.map(child => this.renderNavItem(child, depth + 1)).join('');
+                if (depth === 0) {
+                    return `
+                        <li class="dropdown">
+                            <a href="#" class="dropdown-trigger">${escape(item.label)} <i class="fas fa-chevron-down"></i></a>
+                            <ul class="dropdown-menu">${children}</ul>
+                        </li>`;
+                }
+
+                return `
+                    <li class="nested-dropdown">
+                        <a href="#" class="nested-dropdown-trigger">
+                            ${escape(item.label)}
+                            <i class="fas fa-chevron-right"></i>
+                        </a>
+                        <ul class="nested-dropdown-menu">${children}</ul>
+                    </li>`;
+            },
+
+            renderHeader(siteMap) {
+                const escape = value => this.escape(value);
+
+                return `
+                    <div class="container">
+                        <nav class="glassy-nav">
+                            <div class="container nav-container">
+                                <a href="${escape(siteMap.brand.href)}" class="logo">${escape(siteMap.brand.name)}</a>
+
+                                <button type="button" class="hamburger" aria-label="Menu" aria-expanded="false">
+                                    <span class="line"></span>
+                                    <span class="line"></span>
+                                    <span class="line"></span>
+                                </button>
+
+                                <div class="nav-right">
+                                    <ul class="nav-links">${siteMap.primary.map(item => this.renderNavItem(item)).join('')}</ul>
+                                    ${this.renderThemeToggle('theme-toggle')}
+                                </div>
+                            </div>
+                        </nav>
+                    </div>`;
+            },
+
+            renderMobileItem(item) {
+                const escape = value => this.escape(value);
+
+                if (item.children) {
+                    return `
+                        <li class="mobile-menu-item">
+                            <button class="mobile-menu-link mobile-submenu-trigger" data-submenu="${escape(item.id)}">
+                                <i class="fas ${escape(item.icon)}"></i>
+                                <span>${escape(item.label)}</span>
+                                <i class="fas fa-chevron-right submenu-icon"></i>
+                            </button>
+                        </li>`;
+                }
+
+                return `
+                    <li class="mobile-menu-item">
+                        <a href="${escape(item.href)}" class="mobile-menu-link"${this.renderSectionAttribute(item)}>
+                            <i class="fas ${escape(item.icon)}"></i>
+                            <span>${escape(item.label)}</span>
+                        </a>
+                    </li>`;
+            },
+
+            /**
+             * Flattens nested entries into one panel per submenu, each with a back
+             * button naming the panel it returns to.
+             */
+            renderSubmenus(items, parentLabel = 'Menu') {
+                const escape = value => this.escape(value);
+
+                return items.filter(item => item.children).map(item => `
+                    <div class="mobile-submenu" data-submenu="${escape(item.id)}">
+                        <div class="submenu-header">
+                            <button class="mobile-back-button">
+                                <i class="fas fa-arrow-left"></i>
+                                <span>Back to ${escape(parentLabel)}</span>
+                            </button>
+                            <h3>${escape(item.heading || item.label)}</h3>
+                        </div>
+                        <ul class="mobile-menu-list">${item.children.map(child => this.renderMobileItem(child)).join('')}</ul>
+                    </div>
+                    ${this.renderSubmenus(item.children, item.label)}`
+                ).join('');
+            },
+
+            renderSocialLinks(siteMap, className, withTitle = false) {
+                const escape = value => this.escape(value);
+
+                return siteMap.social.map(link => `
+                    <a href="${escape(link.href)}" class="${className}" aria-label="${escape(link.label)}"${withTitle ? ` title="${escape(link.label)}"` : ''}>
+                        <i class="${escape(link.icon)}"></i>
+                    </a>`
+                ).join('');
+            },
+
+            renderMobileMenu(siteMap) {
+                return `
+                    <div class="mobile-nav-container">
+                        ${this.renderThemeToggle('mobile-theme-toggle')}
+
+                        <nav class="mobile-primary-nav">
+                            <ul class="mobile-menu-list">${siteMap.primary.map(item => this.renderMobileItem(item)).join('')}</ul>
+                        </nav>
+
+                        ${this.renderSubmenus(siteMap.primary)}
+
+                        <div class="mobile-social-links">${this.renderSocialLinks(siteMap, 'social-link')}</div>
+                    </div>`;
+            },
+
+            renderFooter(siteMap) {
+                const escape = value => this.escape(value);
+                const sections = siteMap.footer.map(section => `
+                    <div class="footer-nav">
+                        <h3 class="footer-nav-title">${escape(section.title)}</h3>
+                        <ul class="footer-links">
+                            ${section.links.map(link => `<li><a href="${escape(link.href)}">${escape(link.label)}</a></li>`).join('')}
+                        </ul>
+                    </div>`
+                ).join('');
+
+                return `
+                    <div class="footer-content">
+                        <div class="footer-brand">
+                            <div class="footer-logo">${escape(siteMap.brand.name)}</div>
+                            <p class="footer-description">${escape(siteMap.brand.description)}</p>
+                            <div class="social-links">${this.renderSocialLinks(siteMap, 'social-icon', true)}</div>
+                        </div>
+
+                        <div class="footer-nav-grid">${sections}</div>
+                    </div>
+
+                    <div class="footer-bottom">
+                        <p class="copyright">${escape(siteMap.brand.copyright)}</p>
+                        <button type="button" class="motion-toggle" aria-pressed="false">
+                            <span class="motion-toggle-switch" aria-hidden="true"></span>
+                            Reduce animations
+                        </button>
+                    </div>`;
+            }
         },
 
         /**
-         * Handles theme-related functionalities like setting the initial theme
-         * and managing the theme toggle switch.
+         * Handles the light / dark / system theme setting, the toggles that cycle
+         * it, and keeping it in step with the OS and other open tabs.
          */
         theme: {
+            storageKey: 'theme',
+            modes: ['light', 'dark', 'system'],
+            modeLabels: { light: 'Light', dark: 'Dark', system: 'System' },
+            mode: 'system',
+            colorScheme: null,
+
             init() {
-                // Theme already applied by inline script to both html and body
-                const currentTheme = window.__INITIAL_THEME__ || 'light';
-                const isDark = currentTheme === 'dark';
+                this.colorScheme = window.matchMedia('(prefers-color-scheme: dark)');
+                this.mode = this.normalizeMode(this.readSavedMode());
 
-                this.syncToggles(isDark);
+                // theme-bootstrap.js has already painted the resolved theme; applying
+                // again syncs the toggles and covers pages where it failed to load
+                document.documentElement.classList.replace('no-js', 'js');
+                this.apply();
                 this.addEventListeners();
             },
 
-            set(isDark) {
-                // Apply theme to both HTML and body elements
-                const themeClass = isDark ? 'dark-theme' : 'light-theme';
-                const removeClass = isDark ? 'light-theme' : 'dark-theme';
+            normalizeMode(value) {
+                return this.modes.includes(value) ? value : 'system';
+            },
+
+            /**
+             * Resolves a mode to the theme that should be painted: 'system' follows
+             * the OS colour scheme, explicit choices win over it.
+             */
+            resolve(mode, prefersDark) {
+                const normalized = this.normalizeMode(mode);
+                if (normalized === 'system') return prefersDark ? 'dark' : 'light';
+                return normalized;
+            },
+
+            getNextMode(mode) {
+                const index = this.modes.indexOf(this.normalizeMode(mode));
+                return this.modes[(index + 1) % this.modes.length];
+            },
+
+            readSavedMode() {
+                try {
+                    return localStorage.getItem(this.storageKey);
+                } catch (error) {
+                    return null;
+                }
+            },
+
+            setMode(mode) {
+                this.mode = this.normalizeMode(mode);
+
+                try {
+                    // "System" is stored as no preference so the head script falls back to the OS
+                    if (this.mode === 'system') {
+                        localStorage.removeItem(this.storageKey);
+                    } else {
+                        localStorage.setItem(this.storageKey, this.mode);
+                    }
+                } catch (error) {
+                    // The choice still applies for this page when storage is unavailable
+                }
 
-                // Update HTML element
-                document.documentElement.classList.remove(removeClass);
-                document.documentElement.classList.add(themeClass);
+                this.apply();
+            },
 
-                // Update body element
-                document.body.classList.remove(removeClass);
-                document.body.classList.add(themeClass);
+            apply() {
+                const theme = this.resolve(this.mode, Boolean(this.colorScheme?.matches));
+                const themeClass = `${theme}-theme`;
+                const removeClass = theme === 'dark' ? 'light-theme' : 'dark-theme';
 
-                // Save to localStorage
-                localStorage.setItem('theme', isDark ? 'dark' : 'light');
+                [document.documentElement, document.body].forEach(element => {
+                    element.classList.remove(removeClass);
+                    element.classList.add(themeClass);
+                });
 
-                // Sync toggles
-                this.syncToggles(isDark);
+                this.syncToggles(theme);
+                VortixiaApp.images.repaint();
             },
 
-            syncToggles(isDark) {
+            syncToggles(theme) {
+                const nextMode = this.getNextMode(this.mode);
+                const current = this.mode === 'system'
+                    ? `System (${theme})`
+                    : this.modeLabels[this.mode];
+                const label = `Theme: ${current}. Switch to ${this.modeLabels[nextMode].toLowerCase()} theme`;
+
                 document.querySelectorAll('.theme-toggle, .mobile-theme-toggle').forEach(toggle => {
-                    toggle.setAttribute('aria-checked', String(isDark));
-                    toggle.setAttribute('aria-label', isDark ? 'Switch to light mode' : 'Switch to dark mode');
+                    toggle.dataset.themeMode = this.mode;
+                    toggle.setAttribute('aria-label', label);
+                    toggle.setAttribute('title', label);
                 });
             },
 
             addEventListeners() {
                 document.querySelectorAll('.theme-toggle, .mobile-theme-toggle').forEach(toggle => {
-                    toggle.addEventListener('click', () => {
-                        const isDark = !document.body.classList.contains('dark-theme');
-                        this.set(isDark);
-                    }, { passive: true });
+                    toggle.addEventListener('click', () => this.setMode(this.getNextMode(this.mode)));
+                    toggle.addEventListener('keydown', (event) => {
+                        if (event.key !== 'Enter' && event.key !== ' ') return;
+                        event.preventDefault();
+                        this.setMode(this.getNextMode(this.mode));
+                    });
+                });
+
+                // Follow OS changes live while in system mode
+                this.colorScheme.addEventListener?.('change', () => {
+                    if (this.mode === 'system') this.apply();
+                });
+
+                // Keep other open tabs in step with a choice made here
+                window.addEventListener('storage', (event) => {
+                    if (event.key !== this.storageKey && event.key !== null) return;
+                    this.mode = this.normalizeMode(this.readSavedMode());
+                    this.apply();
+                });
+            }
+        },
+
+        /**
+         * Decides whether animations should be reduced, from the OS setting or the
+         * visitor's "Reduce animations" toggle, and notifies animated modules when
+         * that changes. The result is mirrored as `reduced-motion` on <html> and
+         * <body> for the stylesheet and performance-optimizer.js.
+         */
+        motion: {
+            storageKey: 'motion',
+            preferences: ['reduce', 'full'],
+            preference: null,
+            reduced: false,
+            mediaQuery: null,
+            listeners: new Set(),
+
+            init() {
+                this.mediaQuery = window.matchMedia?.('(prefers-reduced-motion: reduce)') || null;
+                this.preference = this.normalizePreference(this.readSavedPreference());
+                this.apply();
+                this.addEventListeners();
+            },
+
+            /**
+             * Returns 'reduce' or 'full' for an explicit choice, or null when the
+             * visitor has not made one and the OS setting applies.
+             */
+            normalizePreference(value) {
+                return this.preferences.includes(value) ? value : null;
+            },
+
+            resolve(preference, prefersReduced) {
+                const normalized = this.normalizePreference(preference);
+                if (normalized === null) return Boolean(prefersReduced);
+                return normalized === 'reduce';
+            },
+
+            /**
+             * Picks the preference to store when the toggle is flipped. Choosing what
+             * the OS already asks for clears the choice, so OS changes apply again.
+             */
+            getTogglePreference(reduced, prefersReduced) {
+                const next = !reduced;
+                if (next === Boolean(prefersReduced)) return null;
+                return next ? 'reduce' : 'full';
+            },
+
+            isReduced() {
+                return this.reduced;
+            },
+
+            /**
+             * Registers a callback for changes to the effective setting. Returns a
+             * function that removes it again.
+             */
+            onChange(callback) {
+                this.listeners.add(callback);
+                return () => this.listeners.delete(callback);
+            },
+
+            readSavedPreference() {
+                try {
+                    return localStorage.getItem(this.storageKey);
+                } catch (error) {
+                    return null;
+                }
+            },
+
+            setPreference(preference) {
+                this.preference = this.normalizePreference(preference);
+
+                try {
+                    if (this.preference === null) {
+                        localStorage.removeItem(this.storageKey);
+                    } else {
+                        localStorage.setItem(this.storageKey, this.preference);
+                    }
+                } catch (error) {
+                    // The choice still applies for this page when storage is unavailable
+                }
+
+                this.apply();
+            },
+
+            toggle() {
+                this.setPreference(this.getTogglePreference(this.reduced, this.mediaQuery?.matches));
+            },
+
+            apply() {
+                const reduced = this.resolve(this.preference, this.mediaQuery?.matches);
+                const changed = reduced !== this.reduced;
+                this.reduced = reduced;
+
+                [document.documentElement, document.body].forEach(element => {
+                    element.classList.toggle('reduced-motion', reduced);
+                });
+                document.querySelectorAll('.motion-toggle').forEach(toggle => {
+                    toggle.setAttribute('aria-pressed', String(reduced));
+                });
+
+                if (!changed) return;
+                this.listeners.forEach(callback => callback(reduced));
+                document.dispatchEvent(new CustomEvent('vortixia:motion-change', { detail: { reduced } }));
+            },
+
+            addEventListeners() {
+                document.addEventListener('click', (event) => {
+                    if (event.target.closest?.('.motion-toggle')) this.toggle();
+                });
+
+                this.mediaQuery?.addEventListener?.('change', () => this.apply());
+
+                // Keep other open tabs in step with a choice made here
+                window.addEventListener('storage', (event) => {
+                    if (event.key !== this.storageKey && event.key !== null) return;
+                    this.preference = this.normalizePreference(this.readSavedPreference());
+                    this.apply();
                 });
             }
         },
 
         /**
-         * Manages all navigation-related functionalities including the mobile menu,
-         * active link highlighting, and smooth scrolling.
+         * Manages navigation functionalities such as active link highlighting,
+         * the auto-hiding header, smooth scrolling and the home page scroll-spy.
          */
         navigation: {
             lastScrollTop: 0,
             navScrollScheduled: false,
             isNavHidden: false,
+            scrollSpyPage: 'index.html',
+            spyLinks: [],
+            currentSection: null,
+            spyObserver: null,
+            refreshScrollSpy: null,
+            spyResizeBound: false,
 
             init() {
-                this.setupHamburgerMenu();
                 this.updateActiveLink();
                 this.setupNavScroll();
                 this.setupAnchorScroll();
+                this.setupScrollSpy();
+            },
+
+            refresh() {
+                this.updateActiveLink();
+                this.setupScrollSpy();
             },
 
             updateActiveLink() {
                 const currentPage = window.location.pathname.split('/').pop() || 'index.html';
+                // Role applications share one page, so their links differ only by query string
+                const currentPageWithQuery = `${currentPage}${window.location.search}`;
                 const links = document.querySelectorAll('.nav-links a, .mobile-menu-link');
                 const dropdownTrigger = document.querySelector('.nav-links .dropdown > .dropdown-trigger');
                 const mobileSubmenuTriggers = document.querySelectorAll('.mobile-menu-link.mobile-submenu-trigger');
@@ -110,7 +611,7 @@
                 links.forEach(link => {
                     const linkPage = link.getAttribute('href');
                     const isPageLink = typeof linkPage === 'string' && linkPage.trim() !== '' && linkPage !== '#';
-                    const isActive = isPageLink && (linkPage === currentPage || (currentPage === '' && linkPage === 'index.html'));
+                    const isActive = isPageLink && (linkPage === currentPage || linkPage === currentPageWithQuery || (currentPage === '' && linkPage === 'index.html'));
 
                     if (isPageLink) {
                         link.classList.toggle('active', isActive);
@@ -154,57 +655,15 @@
                     trigger.classList.toggle('active', isActive);
                     trigger.setAttribute('aria-current', isActive ? 'page' : 'false');
                 });
-            },
-
-            setupHamburgerMenu() {
-                const hamburger = document.querySelector('.hamburger');
-                const mobileNavOverlay = document.querySelector('.mobile-nav-overlay');
-                if (!hamburger || !mobileNavOverlay) return;
-
-                const toggleNav = () => {
-                    const isActive = hamburger.classList.toggle('active');
-                    mobileNavOverlay.classList.toggle('active');
-                    document.body.style.overflow = isActive ? 'hidden' : '';
-                    hamburger.setAttribute('aria-expanded', String(isActive));
-                };
-
-                const closeNav = () => {
-                    if (hamburger.classList.contains('active')) {
-                        toggleNav();
-                    }
-                    document.querySelectorAll('.mobile-submenu.active').forEach(submenu => submenu.classList.remove('active'));
-                };
-
-                hamburger.addEventListener('click', toggleNav);
-                mobileNavOverlay.addEventListener('click', e => {
-                    if (e.target === mobileNavOverlay) closeNav();
-                });
-
-                document.addEventListener('keydown', e => {
-                    if (e.key === 'Escape' && hamburger.classList.contains('active')) closeNav();
-                });
-
-                document.querySelectorAll('.mobile-submenu-trigger').forEach(trigger => {
-                    trigger.addEventListener('click', () => {
-                        const submenuId = trigger.getAttribute('data-submenu');
-                        document.querySelector(`.mobile-submenu[data-submenu="${submenuId}"]`)?.classList.add('active');
-                    });
-                });
-
-                document.querySelectorAll('.mobile-back-button').forEach(button => {
-                    button.addEventListener('click', () => {
-                        button.closest('.mobile-submenu')?.classList.remove('active');
-                    });
-                });
 
-                window.addEventListener('resize', () => {
-                    if (window.innerWidth > 992) closeNav();
-                });
+                // Keep the scroll-spy's section highlight when links are re-evaluated
+                if (this.currentSection) this.highlightSection(this.spyLinks, this.currentSection);
             },
 
             setupNavScroll() {
                 const nav = document.querySelector('.glassy-nav');
-                if (!nav) return;
+                const scheduler = window.vortixiaUtils?.scheduler;
+                if (!nav || !scheduler) return;
 
                 // Get the actual height of the nav
                 const navHeight = nav.offsetHeight;
@@ -217,10 +676,7 @@
                 const extraOffset = 50;
                 const totalHideDistance = navHeight + extraOffset;
 
-                let ticking = false;
-
-                const updateNavPosition = () => {
-                    const currentScroll = window.pageYOffset || document.documentElement.scrollTop;
+                const updateNavPosition = (measured, { scrollY: currentScroll }) => {
 
                     // Determine scroll direction
                     const scrollingDown = currentScroll > this.lastScrollTop;
@@ -245,121 +701,589 @@
                     }
 
                     this.lastScrollTop = currentScroll <= 0 ? 0 : currentScroll;
-                    ticking = false;
                 };
 
-                window.addEventListener('scroll', () => {
-                    if (!ticking) {
-                        window.requestAnimationFrame(() => {
-                            updateNavPosition();
-                            ticking = false;
-                        });
-                        ticking = true;
-                    }
-                }, { passive: true });
+                scheduler.subscribe('scroll', { write: updateNavPosition });
             },
 
             setupAnchorScroll() {
-                document.querySelectorAll('a[href^="#"]').forEach(anchor => {
-                    anchor.addEventListener('click', function (e) {
-                        const targetId = this.getAttribute('href');
-                        if (targetId === '#') return; // Ignore empty hash
+                // Delegated so anchors in content swapped in by the router work too
+                document.addEventListener('click', (e) => {
+                    const anchor = e.target.closest?.('a[href^="#"]');
+                    if (!anchor) return;
 
-                        const target = document.querySelector(targetId);
-                        if (target) {
-                            e.preventDefault();
-                            target.scrollIntoView({
-                                behavior: 'smooth',
-                                block: 'start'
-                            });
-                        }
-                    });
+                    const targetId = anchor.getAttribute('href');
+                    if (targetId === '#') return; // Ignore empty hash
+
+                    // Look up by id so route-like hashes (#project/...) are not parsed as selectors
+                    const target = document.getElementById(decodeURIComponent(targetId.slice(1)));
+                    if (target) {
+                        e.preventDefault();
+                        this.scrollToSection(target);
+                    }
                 });
-            }
-        },
+            },
 
-        /**
-         * Manages all animations and motion enhancements for the site.
-         */
-        animations: {
-            prefersReducedMotion: null,
-            observer: null,
-            animatedElements: new Set(),
-            pendingElements: [],
+            scrollToSection(target) {
+                const nav = document.querySelector('.glassy-nav');
+                const currentY = window.pageYOffset || document.documentElement.scrollTop;
+                const targetY = target.getBoundingClientRect().top + currentY;
+                const offset = this.getScrollOffset(targetY, currentY, nav?.offsetHeight || 0);
 
-            init() {
-                if (typeof window === 'undefined' || typeof document === 'undefined') return;
+                window.scrollTo({
+                    top: Math.max(0, targetY - offset),
+                    behavior: VortixiaApp.motion.isReduced() ? 'auto' : 'smooth'
+                });
+                this.replaceHash(target.id);
+            },
 
-                this.prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
-                document.body.classList.toggle('reduced-motion', this.prefersReducedMotion.matches);
+            /**
+             * Space to leave above a scrolled-to section. setupNavScroll hides the
+             * header while scrolling down past 1.5x its height and shows it while
+             * scrolling up, so only upward (or near-top) targets need clearing.
+             */
+            getScrollOffset(targetY, currentY, navHeight) {
+                const headerHidesOnTheWay = targetY > currentY && targetY > navHeight * 1.5;
+                return headerHidesOnTheWay ? 0 : navHeight;
+            },
 
-                if (typeof this.prefersReducedMotion.addEventListener === 'function') {
-                    this.prefersReducedMotion.addEventListener('change', (event) => {
-                        document.body.classList.toggle('reduced-motion', event.matches);
-                        if (event.matches) {
-                            this.showAll();
-                        } else {
-                            this.resetObserver();
-                        }
-                    });
+            /**
+             * Highlights the nav and mobile links tied to the home page section on
+             * screen and mirrors it in the URL hash.
+             */
+            setupScrollSpy() {
+                // Start clean when the router has swapped in another page
+                this.spyObserver?.disconnect();
+                this.refreshScrollSpy = null;
+                this.currentSection = null;
+
+                const currentPage = window.location.pathname.split('/').pop() || 'index.html';
+                if (currentPage !== this.scrollSpyPage || !('IntersectionObserver' in window)) return;
+
+                const links = document.querySelectorAll('.nav-links a[data-section], .mobile-menu-link[data-section]');
+                const ids = [...new Set(Array.from(links, link => link.dataset.section))];
+                const sections = ids.map(id => document.getElementById(id)).filter(Boolean);
+                if (sections.length === 0) return;
+
+                const sectionIds = sections.map(section => section.id);
+                const visible = new Set();
+                this.spyLinks = links;
+
+                const observe = () => {
+                    this.spyObserver?.disconnect();
+                    visible.clear();
+
+                    // Watch a band from just under the header to mid-screen; the first
+                    // section inside it is the one being read
+                    const navHeight = document.querySelector('.glassy-nav')?.offsetHeight || 0;
+                    this.spyObserver = new IntersectionObserver((entries) => {
+                        entries.forEach(entry => {
+                            if (entry.isIntersecting) {
+                                visible.add(entry.target.id);
+                            } else {
+                                visible.delete(entry.target.id);
+                            }
+                        });
+
+                        const next = this.getCurrentSection(sectionIds, visible);
+                        if (!next || next === this.currentSection) return;
+
+                        this.currentSection = next;
+                        this.highlightSection(links, next);
+                        this.replaceHash(next === sectionIds[0] ? null : next);
+                    }, { rootMargin: `-${navHeight}px 0px -50% 0px` });
+
+                    sections.forEach(section => this.spyObserver.observe(section));
+                };
+
+                observe();
+                this.refreshScrollSpy = observe;
+
+                // The header height changes across breakpoints; bound once for all pages
+                const debounce = window.vortixiaUtils?.debounce;
+                if (debounce && !this.spyResizeBound) {
+                    this.spyResizeBound = true;
+                    window.addEventListener('resize', debounce(() => this.refreshScrollSpy?.(), 200), { passive: true });
                 }
+            },
 
-                this.prepareElements();
-                this.setupIntersectionObserver();
-                this.setupPageTransitions();
-                this.setupCarousel();
-                this.setupFloatingBackgrounds();
-                this.setupButtonInteractions();
+            getCurrentSection(sectionIds, visibleIds) {
+                return sectionIds.find(id => visibleIds.has(id)) || null;
             },
 
-            prepareElements() {
-                this.pendingElements = [];
-                this.prepareHeadings();
-                this.prepareHero();
-                this.prepareTextBlocks();
-                this.prepareCards();
-                this.prepareIcons();
-                this.prepareImages();
-                this.prepareFooter();
+            highlightSection(links, sectionId) {
+                links.forEach(link => {
+                    const isCurrent = link.dataset.section === sectionId;
+                    link.classList.toggle('active', isCurrent);
+                    // The home link keeps aria-current="page" from updateActiveLink
+                    if (link.getAttribute('aria-current') !== 'page') {
+                        link.setAttribute('aria-current', isCurrent ? 'location' : 'false');
+                    }
+                });
             },
 
-            prepareHeadings() {
-                const headingSelectors = [
-                    'main h1',
-                    'main h2',
-                    'main h3',
-                    '.section-title',
-                    '.footer-nav-title',
-                    '.footer-logo'
-                ];
+            // replaceState updates the address bar without the jump a hash change causes
+            replaceHash(id) {
+                const url = `${window.location.pathname}${window.location.search}${id ? `#${id}` : ''}`;
+                if (url === `${window.location.pathname}${window.location.search}${window.location.hash}`) return;
+                history.replaceState(history.state, '', url);
+            }
+        },
 
-                document.querySelectorAll(headingSelectors.join(',')).forEach((heading) => {
-                    if (!heading || heading.dataset.headingProcessed === 'true') return;
+        /**
+         * Makes the desktop Careers dropdown and its nested Applications menu
+         * keyboard operable, following the ARIA menu-button pattern. Hover still
+         * opens them through CSS; this adds the `is-open` state for keyboard and
+         * click users and keeps `aria-expanded` in step.
+         */
+        dropdowns: {
+            nav: null,
+            menuCount: 0,
 
-                    const hasChildElements = Array.from(heading.childNodes).some(node => node.nodeType !== Node.TEXT_NODE);
-                    if (!hasChildElements) {
-                        const text = heading.textContent.trim();
-                        if (text.length > 0) {
-                            const fragment = document.createDocumentFragment();
-                            text.split(/\s+/).forEach((word, index, words) => {
-                                const span = document.createElement('span');
-                                span.className = 'heading-word';
-                                span.textContent = word;
-                                span.style.setProperty('--animation-delay', `${index * 0.08}s`);
-                                fragment.appendChild(span);
-                                if (index < words.length - 1) {
-                                    fragment.appendChild(document.createTextNode(' '));
-                                }
-                            });
+            init() {
+                this.nav = document.querySelector('.nav-links');
+                if (!this.nav) return;
 
-                            heading.textContent = '';
-                            heading.appendChild(fragment);
-                            heading.classList.add('has-split-heading');
-                        }
+                this.nav.querySelectorAll('.dropdown, .nested-dropdown').forEach(item => this.prepare(item));
+
+                this.nav.addEventListener('click', (event) => {
+                    const trigger = event.target.closest('.dropdown-trigger, .nested-dropdown-trigger');
+                    if (!trigger) return;
+
+                    event.preventDefault();
+                    const item = trigger.parentElement;
+                    if (this.isOpen(item)) {
+                        this.close(item);
+                    } else {
+                        this.open(item);
                     }
+                });
 
-                    heading.dataset.headingProcessed = 'true';
-                    this.prepareElement(heading, 'heading');
+                this.nav.addEventListener('keydown', event => this.handleKeydown(event));
+
+                this.nav.addEventListener('focusout', (event) => {
+                    this.nav.querySelectorAll('.dropdown.is-open').forEach(item => {
+                        if (!item.contains(event.relatedTarget)) this.close(item);
+                    });
+                });
+
+                document.addEventListener('click', (event) => {
+                    if (!event.target.closest?.('.nav-links .dropdown')) this.closeAll();
+                });
+            },
+
+            prepare(item) {
+                const trigger = item.querySelector(':scope > a');
+                const menu = item.querySelector(':scope > ul');
+                if (!trigger || !menu) return;
+
+                this.menuCount += 1;
+                menu.id = menu.id || `nav-menu-${this.menuCount}`;
+
+                // Nested triggers are items of their parent menu; the top one is a button
+                if (!item.classList.contains('nested-dropdown')) trigger.setAttribute('role', 'button');
+                trigger.setAttribute('aria-haspopup', 'true');
+                trigger.setAttribute('aria-expanded', 'false');
+                trigger.setAttribute('aria-controls', menu.id);
+                menu.setAttribute('aria-label', trigger.textContent.trim());
+                this.prepareMenu(menu);
+            },
+
+            /**
+             * Applies menu roles to a menu's items. Called again by modules that
+             * re-render a menu's contents (see jobs.renderMenus).
+             */
+            prepareMenu(menu) {
+                menu.setAttribute('role', 'menu');
+                Array.from(menu.children).forEach(listItem => {
+                    listItem.setAttribute('role', 'none');
+                    const link = listItem.querySelector(':scope > a');
+                    if (!link) return;
+                    link.setAttribute('role', 'menuitem');
+                    link.tabIndex = -1;
+                });
+            },
+
+            getItems(menu) {
+                return Array.from(menu.children)
+                    .map(listItem => listItem.querySelector(':scope > a'))
+                    .filter(Boolean);
+            },
+
+            /**
+             * Index of the item to focus for a roving-focus key, wrapping at the
+             * ends, or null when the key does not move focus.
+             */
+            getNextIndex(index, key, count) {
+                if (count === 0) return null;
+
+                switch (key) {
+                    case 'ArrowDown':
+                        return (index + 1) % count;
+                    case 'ArrowUp':
+                        return (index - 1 + count) % count;
+                    case 'Home':
+                        return 0;
+                    case 'End':
+                        return count - 1;
+                    default:
+                        return null;
+                }
+            },
+
+            isOpen(item) {
+                return item.classList.contains('is-open');
+            },
+
+            open(item, focus = null) {
+                const trigger = item.querySelector(':scope > a');
+                const menu = item.querySelector(':scope > ul');
+                if (!trigger || !menu) return;
+
+                // Only one menu per level is open at a time
+                Array.from(item.parentElement.children).forEach(sibling => {
+                    if (sibling !== item && this.isOpen(sibling)) this.close(sibling);
+                });
+
+                item.classList.add('is-open');
+                trigger.setAttribute('aria-expanded', 'true');
+
+                const items = this.getItems(menu);
+                if (focus === 'first') items[0]?.focus();
+                if (focus === 'last') items[items.length - 1]?.focus();
+            },
+
+            close(item, restoreFocus = false) {
+                item.querySelectorAll('.nested-dropdown.is-open').forEach(nested => this.close(nested));
+                item.classList.remove('is-open');
+
+                const trigger = item.querySelector(':scope > a');
+                trigger?.setAttribute('aria-expanded', 'false');
+                if (restoreFocus) trigger?.focus();
+            },
+
+            closeAll() {
+                this.nav?.querySelectorAll('.dropdown.is-open').forEach(item => this.close(item));
+            },
+
+            handleKeydown(event) {
+                const target = event.target;
+                const { key } = event;
+                const isActivation = key === 'Enter' || key === ' ';
+
+                if (target.classList.contains('dropdown-trigger')) {
+                    const item = target.parentElement;
+                    if (isActivation || key === 'ArrowDown') {
+                        this.open(item, 'first');
+                    } else if (key === 'ArrowUp') {
+                        this.open(item, 'last');
+                    } else if (key === 'Escape') {
+                        this.close(item);
+                    } else {
+                        return;
+                    }
+                    event.preventDefault();
+                    return;
+                }
+
+                const menu = target.closest('[role="menu"]');
+                if (!menu) return;
+
+                if (key === 'Tab') {
+                    this.closeAll();
+                    return;
+                }
+
+                const items = this.getItems(menu);
+                const nextIndex = this.getNextIndex(items.indexOf(target), key, items.length);
+                const parentItem = menu.parentElement;
+                const isNestedMenu = parentItem.classList.contains('nested-dropdown');
+
+                if (nextIndex !== null) {
+                    items[nextIndex].focus();
+                } else if (target.classList.contains('nested-dropdown-trigger') && (isActivation || key === 'ArrowRight')) {
+                    this.open(target.parentElement, 'first');
+                } else if (key === 'Escape' || (key === 'ArrowLeft' && isNestedMenu)) {
+                    this.close(parentItem, true);
+                } else if (key === ' ') {
+                    // Space activates a menu item instead of scrolling the page
+                    target.click();
+                } else {
+                    return;
+                }
+
+                event.preventDefault();
+            }
+        },
+
+        /**
+         * Controls the mobile navigation overlay: open/close state, nested submenu
+         * panels with back buttons, a focus trap while open, focus return to the
+         * hamburger on close and a scroll lock that keeps the page where it was.
+         */
+        mobileMenu: {
+            desktopBreakpoint: 992,
+            focusableSelector: 'a[href], button:not([disabled]), input:not([disabled]), [tabindex]:not([tabindex="-1"])',
+            hamburger: null,
+            overlay: null,
+            isOpen: false,
+            scrollY: 0,
+            // Open submenu panels, innermost last, with the trigger that opened each
+            stack: [],
+
+            init() {
+                this.hamburger = document.querySelector('.hamburger');
+                this.overlay = document.querySelector('.mobile-nav-overlay');
+                if (!this.hamburger || !this.overlay) return;
+
+                this.overlay.id = this.overlay.id || 'mobile-navigation';
+                this.hamburger.setAttribute('aria-controls', this.overlay.id);
+                this.sync();
+
+                this.hamburger.addEventListener('click', () => (this.isOpen ? this.close() : this.open()));
+
+                // Delegated so links re-rendered from the jobs feed behave the same
+                this.overlay.addEventListener('click', (event) => {
+                    if (event.target === this.overlay) {
+                        this.close();
+                        return;
+                    }
+
+                    const trigger = event.target.closest('.mobile-submenu-trigger');
+                    if (trigger) {
+                        this.openSubmenu(trigger);
+                        return;
+                    }
+
+                    if (event.target.closest('.mobile-back-button')) {
+                        this.closeSubmenu();
+                        return;
+                    }
+
+                    if (event.target.closest('a[href]')) this.close({ restoreFocus: false });
+                });
+
+                document.addEventListener('keydown', (event) => {
+                    if (!this.isOpen) return;
+
+                    if (event.key === 'Escape') {
+                        this.close();
+                    } else if (event.key === 'Tab') {
+                        const target = this.getTrapTarget(this.getFocusable(), document.activeElement, event.shiftKey);
+                        if (target) {
+                            event.preventDefault();
+                            target.focus();
+                        }
+                    }
+                });
+
+                window.addEventListener('resize', () => {
+                    if (this.isOpen && window.innerWidth > this.desktopBreakpoint) this.close({ restoreFocus: false });
+                });
+            },
+
+            open() {
+                if (this.isOpen) return;
+
+                this.isOpen = true;
+                this.scrollY = window.scrollY || window.pageYOffset || 0;
+                this.lockScroll(document.body, this.scrollY);
+                this.sync();
+                this.getFocusable()[1]?.focus();
+            },
+
+            close({ restoreFocus = true } = {}) {
+                if (!this.isOpen) return;
+
+                this.isOpen = false;
+                while (this.stack.length > 0) this.closeSubmenu({ restoreFocus: false });
+                this.unlockScroll(document.body);
+                // Jump straight back; the page-level smooth scrolling would visibly scroll
+                window.scrollTo({ top: this.scrollY, behavior: 'instant' });
+                this.sync();
+
+                if (restoreFocus) this.hamburger.focus();
+            },
+
+            sync() {
+                this.hamburger.classList.toggle('active', this.isOpen);
+                this.overlay.classList.toggle('active', this.isOpen);
+                this.hamburger.setAttribute('aria-expanded', String(this.isOpen));
+                this.hamburger.setAttribute('aria-label', this.isOpen ? 'Close menu' : 'Menu');
+                this.overlay.setAttribute('aria-hidden', String(!this.isOpen));
+            },
+
+            openSubmenu(trigger) {
+                const panel = this.overlay.querySelector(`.mobile-submenu[data-submenu="${trigger.dataset.submenu}"]`);
+                if (!panel) return;
+
+                panel.classList.add('active');
+                trigger.setAttribute('aria-expanded', 'true');
+                this.stack.push({ panel, trigger });
+                panel.querySelector('.mobile-back-button')?.focus();
+            },
+
+            closeSubmenu({ restoreFocus = true } = {}) {
+                const current = this.stack.pop();
+                if (!current) return;
+
+                current.panel.classList.remove('active');
+                current.trigger.setAttribute('aria-expanded', 'false');
+                if (restoreFocus) current.trigger.focus();
+            },
+
+            /**
+             * Focusable elements in the visible panel, led by the hamburger so the
+             * menu can always be closed from the keyboard.
+             */
+            getFocusable() {
+                const current = this.stack[this.stack.length - 1];
+                const elements = current
+                    ? Array.from(current.panel.querySelectorAll(this.focusableSelector))
+                    : Array.from(this.overlay.querySelectorAll(this.focusableSelector)).filter(element => !element.closest('.mobile-submenu'));
+
+                return [this.hamburger, ...elements];
+            },
+
+            /**
+             * Where Tab should wrap to inside the trap, or null to let the browser
+             * move focus normally.
+             */
+            getTrapTarget(focusable, active, shiftKey) {
+                if (focusable.length === 0) return null;
+
+                const first = focusable[0];
+                const last = focusable[focusable.length - 1];
+
+                if (!focusable.includes(active)) return shiftKey ? last : first;
+                if (shiftKey && active === first) return last;
+                if (!shiftKey && active === last) return first;
+                return null;
+            },
+
+            // Fixing the body (rather than only hiding overflow) stops iOS Safari
+            // scrolling the page behind the menu; the offset keeps it in place
+            lockScroll(body, scrollY) {
+                Object.assign(body.style, {
+                    position: 'fixed',
+                    top: `-${scrollY}px`,
+                    left: '0',
+                    right: '0',
+                    width: '100%',
+                    overflow: 'hidden'
+                });
+            },
+
+            unlockScroll(body) {
+                ['position', 'top', 'left', 'right', 'width', 'overflow'].forEach(property => {
+                    body.style[property] = '';
+                });
+            }
+        },
+
+        /**
+         * Manages all animations and motion enhancements for the site.
+         */
+        animations: {
+            observer: null,
+            animatedElements: new Set(),
+            pendingElements: [],
+            carouselInterval: 5000,
+            swipeThreshold: 50,
+            stopCarousel: null,
+
+            init() {
+                if (typeof window === 'undefined' || typeof document === 'undefined') return;
+
+                VortixiaApp.motion.onChange((reduced) => {
+                    if (reduced) {
+                        VortixiaApp.counters.finishAll();
+                        this.showAll();
+                    } else {
+                        this.resetObserver();
+                    }
+                });
+
+                this.prepareElements();
+                this.setupIntersectionObserver();
+                this.setupPageTransitions();
+                this.setupContent();
+            },
+
+            setupContent() {
+                this.setupCarousel();
+                this.setupFloatingBackgrounds();
+                this.setupButtonInteractions();
+            },
+
+            refresh() {
+                // Drop elements that left the page with the previous content
+                this.animatedElements.forEach((element) => {
+                    if (!element.isConnected) this.animatedElements.delete(element);
+                });
+
+                this.prepareElements();
+                if (this.observer) {
+                    this.registerPendingElements();
+                } else {
+                    this.showAll();
+                }
+                this.setupContent();
+            },
+
+            prepareElements() {
+                this.pendingElements = [];
+                this.prepareHeadings();
+                this.prepareHero();
+                this.prepareTextBlocks();
+                this.prepareCards();
+                this.prepareIcons();
+                this.prepareImages();
+                this.prepareFooter();
+                this.prepareCounters();
+            },
+
+            prepareCounters() {
+                document.querySelectorAll(VortixiaApp.counters.selector).forEach(element => this.prepareElement(element, 'count'));
+            },
+
+            prepareHeadings() {
+                const headingSelectors = [
+                    'main h1',
+                    'main h2',
+                    'main h3',
+                    '.section-title',
+                    '.footer-nav-title',
+                    '.footer-logo'
+                ];
+
+                document.querySelectorAll(headingSelectors.join(',')).forEach((heading) => {
+                    if (!heading || heading.dataset.headingProcessed === 'true') return;
+
+                    const hasChildElements = Array.from(heading.childNodes).some(node => node.nodeType !== Node.TEXT_NODE);
+                    if (!hasChildElements) {
+                        const text = heading.textContent.trim();
+                        if (text.length > 0) {
+                            const fragment = document.createDocumentFragment();
+                            text.split(/\s+/).forEach((word, index, words) => {
+                                const span = document.createElement('span');
+                                span.className = 'heading-word';
+                                span.textContent = word;
+                                span.style.setProperty('--animation-delay', `${index * 0.08}s`);
+                                fragment.appendChild(span);
+                                if (index < words.length - 1) {
+                                    fragment.appendChild(document.createTextNode(' '));
+                                }
+                            });
+
+                            heading.textContent = '';
+                            heading.appendChild(fragment);
+                            heading.classList.add('has-split-heading');
+                        }
+                    }
+
+                    heading.dataset.headingProcessed = 'true';
+                    this.prepareElement(heading, 'heading');
                 });
             },
 
@@ -492,7 +1416,7 @@
             setupIntersectionObserver() {
                 const supportsObserver = 'IntersectionObserver' in window;
 
-                if (this.prefersReducedMotion.matches || !supportsObserver) {
+                if (VortixiaApp.motion.isReduced() || !supportsObserver) {
                     this.showAll();
                     this.pendingElements = [];
                     return;
@@ -523,6 +1447,7 @@
 
             showElement(element) {
                 element.classList.add('is-visible');
+                if (element.matches?.(VortixiaApp.counters.selector)) VortixiaApp.counters.start(element);
             },
 
             showAll() {
@@ -552,64 +1477,35 @@
 
                 window.addEventListener('pageshow', (event) => {
                     if (event.persisted) {
-                        document.body.classList.remove('page-transitioning');
                         document.body.classList.add('page-loaded');
                     }
                 });
-
-                const links = document.querySelectorAll('a[href]:not([target="_blank"]):not([download])');
-                links.forEach((link) => {
-                    link.addEventListener('click', (event) => {
-                        if (event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
-
-                        const href = link.getAttribute('href');
-                        if (!href || href.startsWith('#') || href.startsWith('mailto:') || href.startsWith('tel:')) {
-                            return;
-                        }
-
-                        const destination = new URL(href, window.location.href);
-                        const current = window.location;
-
-                        if (destination.origin !== current.origin) return;
-                        if (destination.pathname === current.pathname) {
-                            if (destination.hash && destination.hash !== current.hash) {
-                                return;
-                            }
-
-                            if (destination.hash === current.hash) {
-                                return;
-                            }
-                        }
-
-                        event.preventDefault();
-                        document.body.classList.add('page-transitioning');
-
-                        setTimeout(() => {
-                            window.location.href = destination.href;
-                        }, 260);
-                    });
-                });
             },
 
             setupFloatingBackgrounds() {
-                if (this.prefersReducedMotion.matches) return;
-
                 const heroBackground = document.querySelector('.hero-section .hero-background');
-                if (!heroBackground) return;
+                const scheduler = window.vortixiaUtils?.scheduler;
+                if (!heroBackground || !scheduler) return;
 
-                heroBackground.style.willChange = 'transform';
-
-                const updateTransform = () => {
-                    const offset = window.scrollY * 0.08;
-                    heroBackground.style.transform = `translateY(${offset}px)`;
+                // Checked every frame so toggling reduced motion takes effect immediately
+                const updateTransform = (scrollY) => {
+                    const reduced = VortixiaApp.motion.isReduced();
+                    heroBackground.style.willChange = reduced ? '' : 'transform';
+                    heroBackground.style.transform = reduced ? '' : `translateY(${scrollY * 0.08}px)`;
                 };
 
-                const onScroll = () => {
-                    window.requestAnimationFrame(updateTransform);
-                };
+                const unsubscribe = scheduler.subscribe('scroll', {
+                    write: (measured, { scrollY }) => {
+                        // Stop once the router has swapped the hero out
+                        if (!heroBackground.isConnected) {
+                            unsubscribe();
+                            return;
+                        }
+                        updateTransform(scrollY);
+                    }
+                });
 
-                window.addEventListener('scroll', onScroll, { passive: true });
-                updateTransform();
+                updateTransform(window.scrollY);
             },
 
             setupButtonInteractions() {
@@ -623,6 +1519,8 @@
             },
 
             createRipple(event) {
+                if (VortixiaApp.motion.isReduced()) return;
+
                 const button = event.currentTarget;
                 const rect = button.getBoundingClientRect();
                 const ripple = document.createElement('span');
@@ -646,103 +1544,3119 @@
             },
 
             setupCarousel() {
-                const slides = document.querySelectorAll('.hero-slide');
-                const dots = document.querySelectorAll('.dot');
-                if (slides.length === 0) return;
-
-                let currentSlide = 0;
-                let slideInterval = setInterval(nextSlide, 5000);
+                // A previous page's carousel may still be ticking after a router swap
+                this.stopCarousel?.();
+                this.stopCarousel = null;
 
-                function showSlide(index) {
-                    slides.forEach((slide, i) => slide.classList.toggle('active', i === index));
-                    dots.forEach((dot, i) => dot.classList.toggle('active', i === index));
-                }
+                const region = document.querySelector('.hero-container[aria-roledescription="carousel"]') || document.querySelector('.hero-container');
+                const track = document.querySelector('.hero-carousel');
+                const slides = Array.from(document.querySelectorAll('.hero-slide'));
+                const dots = Array.from(document.querySelectorAll('.carousel-controls .dot'));
+                if (!region || !track || slides.length === 0) return;
 
-                function nextSlide() {
-                    currentSlide = (currentSlide + 1) % slides.length;
-                    showSlide(currentSlide);
-                }
+                const toggle = region.querySelector('.carousel-toggle');
+                const pauseReasons = new Set();
+                let currentSlide = Math.max(0, slides.findIndex(slide => slide.classList.contains('active')));
+                let isPlaying = !VortixiaApp.motion.isReduced();
+                let slideTimer = null;
 
-                function resetInterval() {
-                    clearInterval(slideInterval);
-                    slideInterval = setInterval(nextSlide, 5000);
-                }
+                const showSlide = (index, { focusDot = false } = {}) => {
+                    currentSlide = this.wrapIndex(index, slides.length);
 
-                dots.forEach((dot, index) => {
-                    dot.addEventListener('click', () => {
-                        currentSlide = index;
-                        showSlide(currentSlide);
-                        resetInterval();
+                    slides.forEach((slide, i) => slide.classList.toggle('active', i === currentSlide));
+                    dots.forEach((dot, i) => {
+                        const isActive = i === currentSlide;
+                        dot.classList.toggle('active', isActive);
+                        dot.setAttribute('aria-selected', String(isActive));
+                        dot.tabIndex = isActive ? 0 : -1;
                     });
-                });
-            }
-        },
 
-        /**
-         * Manages general UI enhancements and helper functions.
-         */
-        ui: {
-            init() {
-                this.handleImageErrors();
-                this.setupBackToTop();
-                window.addEventListener('load', () => this.fixGridAlignment());
-                window.addEventListener('resize', () => this.fixGridAlignment());
-            },
+                    if (focusDot) dots[currentSlide]?.focus();
+                };
 
-            handleNoJS() {
-                document.documentElement.classList.remove('no-js');
-            },
+                const isRotating = () => isPlaying && pauseReasons.size === 0;
 
-            handleImageErrors() {
-                document.querySelectorAll('img').forEach(img => {
-                    img.onerror = function () {
-                        const width = this.width > 0 ? this.width : 400;
-                        const height = this.height > 0 ? this.height : 320;
-                        this.src = `https://placehold.co/${width}x${height}/1a202c/ffffff?text=Image+Not+Found`;
-                        this.alt = 'Placeholder image: asset not found';
-                    };
-                });
-            },
+                // Restart the timer whenever the rotation state or slide changes so a
+                // manual move always gets a full interval before the next advance
+                const schedule = () => {
+                    clearInterval(slideTimer);
+                    slideTimer = isRotating() ? setInterval(() => showSlide(currentSlide + 1), this.carouselInterval) : null;
+                    // Announce slide changes only when the user is driving them
+                    track.setAttribute('aria-live', isRotating() ? 'off' : 'polite');
+                };
 
-            setupBackToTop() {
-                const button = document.createElement('button');
-                button.innerHTML = '<i class="fas fa-arrow-up"></i>';
-                button.className = 'back-to-top';
-                button.setAttribute('aria-label', 'Back to top');
-                document.body.appendChild(button);
+                const goTo = (index, options) => {
+                    showSlide(index, options);
+                    schedule();
+                };
 
-                window.addEventListener('scroll', () => {
-                    button.classList.toggle('show', window.scrollY > 300);
-                });
+                const setPlaying = (playing) => {
+                    isPlaying = playing;
+                    if (toggle) {
+                        toggle.setAttribute('aria-label', playing ? 'Pause slide rotation' : 'Start slide rotation');
+                        toggle.classList.toggle('is-paused', !playing);
+                        toggle.querySelector('i')?.classList.replace(playing ? 'fa-play' : 'fa-pause', playing ? 'fa-pause' : 'fa-play');
+                    }
+                    schedule();
+                };
 
-                button.addEventListener('click', () => {
-                    window.scrollTo({ top: 0, behavior: 'smooth' });
-                });
-            },
+                const setPaused = (reason, paused) => {
+                    if (paused) {
+                        pauseReasons.add(reason);
+                    } else {
+                        pauseReasons.delete(reason);
+                    }
+                    schedule();
+                };
 
-            fixGridAlignment() {
-                ['.projects-grid', '.services-grid', '.team-grid'].forEach(gridSelector => {
-                    const grid = document.querySelector(gridSelector);
-                    if (!grid) return;
+                toggle?.addEventListener('click', () => setPlaying(!isPlaying));
+                region.querySelector('.carousel-prev')?.addEventListener('click', () => goTo(currentSlide - 1));
+                region.querySelector('.carousel-next')?.addEventListener('click', () => goTo(currentSlide + 1));
 
-                    const items = grid.querySelectorAll('.project-card, .service-card, .team-member');
-                    if (items.length === 0) return;
+                dots.forEach((dot, index) => {
+                    dot.addEventListener('click', () => goTo(index));
+                });
 
-                    // Reset heights
-                    items.forEach(item => item.style.height = 'auto');
+                region.addEventListener('keydown', (event) => {
+                    if (event.target.closest('input, textarea, select')) return;
 
-                    // Find max height
-                    const maxHeight = Math.max(...Array.from(items).map(item => item.offsetHeight));
+                    const onDot = dots.includes(event.target);
+                    const targets = {
+                        ArrowLeft: currentSlide - 1,
+                        ArrowRight: currentSlide + 1,
+                        Home: onDot ? 0 : null,
+                        End: onDot ? slides.length - 1 : null
+                    };
+                    const target = targets[event.key];
+                    if (target === null || target === undefined) return;
 
-                    // Apply max height
-                    items.forEach(item => item.style.height = `${maxHeight}px`);
+                    event.preventDefault();
+                    goTo(target, { focusDot: onDot });
                 });
-            }
-        },
 
-        /**
-         * Manages accessibility features like focus states.
-         */
+                region.addEventListener('mouseenter', () => setPaused('hover', true));
+                region.addEventListener('mouseleave', () => setPaused('hover', false));
+                region.addEventListener('focusin', () => setPaused('focus', true));
+                region.addEventListener('focusout', (event) => {
+                    if (!region.contains(event.relatedTarget)) setPaused('focus', false);
+                });
+                const onVisibilityChange = () => setPaused('hidden', document.hidden);
+                document.addEventListener('visibilitychange', onVisibilityChange);
+
+                let touchStart = null;
+                track.addEventListener('touchstart', (event) => {
+                    const touch = event.touches[0];
+                    touchStart = { x: touch.clientX, y: touch.clientY };
+                    setPaused('touch', true);
+                }, { passive: true });
+
+                track.addEventListener('touchend', (event) => {
+                    if (!touchStart) return;
+
+                    const touch = event.changedTouches[0];
+                    const direction = this.getSwipeDirection(touch.clientX - touchStart.x, touch.clientY - touchStart.y, this.swipeThreshold);
+                    touchStart = null;
+                    pauseReasons.delete('touch');
+
+                    if (direction === 'left') {
+                        goTo(currentSlide + 1);
+                    } else if (direction === 'right') {
+                        goTo(currentSlide - 1);
+                    } else {
+                        schedule();
+                    }
+                }, { passive: true });
+
+                const stopMotionListener = VortixiaApp.motion.onChange((reduced) => {
+                    if (reduced) setPlaying(false);
+                });
+
+                this.stopCarousel = () => {
+                    clearInterval(slideTimer);
+                    document.removeEventListener('visibilitychange', onVisibilityChange);
+                    stopMotionListener();
+                };
+
+                showSlide(currentSlide);
+                setPlaying(isPlaying);
+            },
+
+            wrapIndex(index, count) {
+                return ((index % count) + count) % count;
+            },
+
+            /**
+             * Classifies a touch gesture as a horizontal swipe ('left' or 'right'),
+             * or null when it is too short or mostly vertical (a scroll).
+             */
+            getSwipeDirection(deltaX, deltaY, threshold) {
+                if (Math.abs(deltaX) < threshold || Math.abs(deltaX) <= Math.abs(deltaY)) return null;
+                return deltaX < 0 ? 'left' : 'right';
+            }
+        },
+
+        /**
+         * Count-up for the headline figures (`.stat-value`, `.metric-value`). The
+         * animations observer starts each counter once as it scrolls into view.
+         * While the digits move they are hidden from assistive technology, which
+         * reads the final value from a visually hidden copy instead.
+         */
+        counters: {
+            selector: '.stat-value, .metric-value',
+            duration: 1600,
+            running: new Map(),
+
+            /**
+             * Splits a figure such as "120+", "40%" or "120k" into the number to
+             * count to and the text around it. Returns null without a number.
+             */
+            parse(text) {
+                const match = /^(\D*?)(\d[\d,]*(?:\.\d+)?)([\s\S]*)$/.exec(String(text ?? '').trim());
+                if (!match) return null;
+
+                const [, prefix, digits, suffix] = match;
+                return {
+                    prefix,
+                    value: Number(digits.replace(/,/g, '')),
+                    decimals: digits.includes('.') ? digits.split('.')[1].length : 0,
+                    suffix
+                };
+            },
+
+            format(figure, value, locale) {
+                const formatter = new Intl.NumberFormat(locale, {
+                    minimumFractionDigits: figure.decimals,
+                    maximumFractionDigits: figure.decimals
+                });
+                return `${figure.prefix}${formatter.format(value)}${figure.suffix}`;
+            },
+
+            // Ease-out cubic: fast start, gentle landing on the final value
+            ease(progress) {
+                return 1 - Math.pow(1 - progress, 3);
+            },
+
+            // Only the figure itself counts; labels nested in the element stay put
+            getTextNode(element) {
+                return Array.from(element.childNodes).find(node => node.nodeType === 3 && node.nodeValue.trim()) || null;
+            },
+
+            start(element) {
+                if (element.dataset.countState) return;
+
+                const textNode = this.getTextNode(element);
+                const figure = textNode && this.parse(textNode.nodeValue);
+                if (!figure || figure.value === 0 || VortixiaApp.motion.isReduced() || typeof requestAnimationFrame !== 'function') {
+                    element.dataset.countState = 'done';
+                    return;
+                }
+
+                const display = document.createElement('span');
+                display.className = 'count-up-value';
+                display.setAttribute('aria-hidden', 'true');
+                display.textContent = textNode.nodeValue.trim();
+
+                const label = document.createElement('span');
+                label.className = 'visually-hidden';
+                label.textContent = textNode.nodeValue.trim();
+
+                textNode.replaceWith(display, label);
+                // Reserve the final width so the surrounding layout does not shift
+                display.style.minWidth = `${display.getBoundingClientRect().width}px`;
+                element.dataset.countState = 'running';
+
+                const locale = document.documentElement.lang || undefined;
+                let startTime = null;
+                let frame = null;
+
+                const finish = () => {
+                    cancelAnimationFrame(frame);
+                    display.replaceWith(textNode);
+                    label.remove();
+                    element.dataset.countState = 'done';
+                    this.running.delete(element);
+                };
+
+                const step = (time) => {
+                    startTime = startTime ?? time;
+                    const progress = Math.min(1, (time - startTime) / this.duration);
+                    display.textContent = this.format(figure, figure.value * this.ease(progress), locale);
+
+                    if (progress < 1) {
+                        frame = requestAnimationFrame(step);
+                    } else {
+                        finish();
+                    }
+                };
+
+                this.running.set(element, finish);
+                frame = requestAnimationFrame(step);
+            },
+
+            finishAll() {
+                this.running.forEach(finish => finish());
+            }
+        },
+
+        /**
+         * Manages general UI enhancements and helper functions.
+         */
+        ui: {
+            filterTransitionMs: 300,
+
+            init() {
+                VortixiaApp.images.init();
+                this.setupBackToTop();
+                VortixiaApp.equalHeights.init();
+            },
+
+            refresh() {
+                VortixiaApp.images.sweep();
+                VortixiaApp.equalHeights.refresh();
+            },
+
+            handleNoJS() {
+                document.documentElement.classList.remove('no-js');
+            },
+
+            setupBackToTop() {
+                const button = document.createElement('button');
+                button.innerHTML = '<i class="fas fa-arrow-up"></i>';
+                button.className = 'back-to-top';
+                button.setAttribute('aria-label', 'Back to top');
+                document.body.appendChild(button);
+
+                window.vortixiaUtils?.scheduler?.subscribe('scroll', {
+                    write: (measured, { scrollY }) => button.classList.toggle('show', scrollY > 300)
+                });
+
+                button.addEventListener('click', () => {
+                    window.scrollTo({ top: 0, behavior: VortixiaApp.motion.isReduced() ? 'auto' : 'smooth' });
+                });
+            },
+
+            /**
+             * Shows or hides an item in a filterable collection, fading it in or
+             * out unless animation is off or the user prefers reduced motion.
+             */
+            setFilteredVisibility(element, isVisible, animate = true) {
+                const skipAnimation = !animate || VortixiaApp.motion.isReduced();
+
+                if (isVisible) {
+                    if (!element.hidden && !element.classList.contains('is-filtered-out')) return;
+                    element.hidden = false;
+                    if (!skipAnimation) {
+                        // Force a reflow so the fade-in starts from the hidden state
+                        void element.offsetWidth;
+                    }
+                    element.classList.remove('is-filtered-out');
+                    return;
+                }
+
+                element.classList.add('is-filtered-out');
+                if (skipAnimation) {
+                    element.hidden = true;
+                    return;
+                }
+
+                setTimeout(() => {
+                    if (element.classList.contains('is-filtered-out')) element.hidden = true;
+                }, this.filterTransitionMs);
+            }
+        },
+
+        /**
+         * Replaces images that fail to load with an inline SVG placeholder drawn
+         * at the image's size, in the current theme's colours and labelled with
+         * its alt text, so nothing is fetched from third parties. Each image is
+         * swapped once at most. Failures are announced with a
+         * `vortixia:image-failed` event and summarised in the console, which
+         * makes broken assets easy to spot after a deploy.
+         */
+        images: {
+            defaultSize: { width: 400, height: 225 },
+            reportDelay: 2000,
+            failed: new Map(),
+            reportTimer: null,
+            bound: false,
+
+            init() {
+                if (!this.bound) {
+                    // Error events do not bubble, so listen in the capture phase
+                    document.addEventListener('error', (event) => {
+                        if (event.target?.tagName === 'IMG') this.handleError(event.target);
+                    }, true);
+                    this.bound = true;
+                }
+
+                this.sweep();
+            },
+
+            // Catches images that failed before the listener was attached
+            sweep(root = document) {
+                root.querySelectorAll('img').forEach(img => {
+                    if (img.complete && img.naturalWidth === 0 && img.getAttribute('src')) this.handleError(img);
+                });
+            },
+
+            handleError(img) {
+                // One shot: a placeholder that fails too is left alone rather than retried
+                if (img.dataset.fallback) return;
+
+                const src = img.currentSrc || img.src || '';
+                const { width, height } = this.getSize(img);
+                img.dataset.fallback = 'true';
+                img.dataset.fallbackSize = `${width}x${height}`;
+                img.classList.add('image-fallback');
+                this.paint(img);
+
+                this.report(src, img);
+            },
+
+            getSize(img) {
+                const read = value => Math.round(Number(value)) || 0;
+                const rect = img.getBoundingClientRect?.() || {};
+                const width = read(img.getAttribute('width')) || (rect.width > 32 ? read(rect.width) : 0);
+                const height = read(img.getAttribute('height')) || (rect.height > 32 ? read(rect.height) : 0);
+
+                if (width && height) return { width, height };
+                if (width) return { width, height: Math.round(width * 9 / 16) };
+                return { ...this.defaultSize };
+            },
+
+            getColors(isDark) {
+                return isDark
+                    ? { background: '#1A202C', foreground: '#E2E8F0', accent: '#3ECFAF' }
+                    : { background: '#EDF2F7', foreground: '#4A5568', accent: '#2BA88D' };
+            },
+
+            paint(img) {
+                const [width, height] = (img.dataset.fallbackSize || '').split('x').map(Number);
+                const isDark = document.body.classList.contains('dark-theme');
+                img.src = this.createPlaceholder({
+                    width: width || this.defaultSize.width,
+                    height: height || this.defaultSize.height,
+                    label: img.getAttribute('alt') || 'Image unavailable',
+                    ...this.getColors(isDark)
+                });
+            },
+
+            // Re-colours existing placeholders after the theme changes
+            repaint() {
+                document.querySelectorAll('img[data-fallback]').forEach(img => this.paint(img));
+            },
+
+            /**
+             * Builds a data URI for an SVG placeholder: a picture glyph in the
+             * accent colour with the (shortened) label underneath.
+             */
+            createPlaceholder({ width, height, label, background, foreground, accent }) {
+                const escape = value => String(value)
+                    .replace(/&/g, '&amp;')
+                    .replace(/</g, '&lt;')
+                    .replace(/>/g, '&gt;')
+                    .replace(/"/g, '&quot;');
+                const text = label.length > 48 ? `${label.slice(0, 47)}…` : label;
+                const size = Math.min(width, height);
+                const icon = size * 0.28;
+                const fontSize = Math.max(10, Math.round(Math.min(size * 0.09, width / Math.max(text.length, 1) * 1.6)));
+                const x = width / 2 - icon / 2;
+                const y = height / 2 - icon * 0.75;
+
+                const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`
+                    + `<rect width="100%" height="100%" fill="${background}"/>`
+                    + `<g fill="none" stroke="${accent}" stroke-width="${Math.max(1.5, icon / 16)}" stroke-linejoin="round">`
+                    + `<rect x="${x}" y="${y}" width="${icon}" height="${icon * 0.75}" rx="${icon / 10}"/>`
+                    + `<path d="M${x} ${y + icon * 0.6} l${icon * 0.3} -${icon * 0.25} l${icon * 0.25} ${icon * 0.18} l${icon * 0.2} -${icon * 0.12} l${icon * 0.25} ${icon * 0.19}"/>`
+                    + `<circle cx="${x + icon * 0.72}" cy="${y + icon * 0.22}" r="${icon / 12}"/>`
+                    + '</g>'
+                    + `<text x="50%" y="${y + icon + fontSize * 1.4}" fill="${foreground}" font-family="Poppins, sans-serif" font-size="${fontSize}" text-anchor="middle">${escape(text)}</text>`
+                    + '</svg>';
+
+                return `data:image/svg+xml;charset=UTF-8,${encodeURIComponent(svg)}`;
+            },
+
+            report(src, img) {
+                this.failed.set(src, img.getAttribute('alt') || '');
+                document.dispatchEvent(new CustomEvent('vortixia:image-failed', { detail: { src, alt: img.getAttribute('alt') || '', image: img } }));
+
+                // One summary per burst of failures rather than a warning per image
+                clearTimeout(this.reportTimer);
+                this.reportTimer = setTimeout(() => this.logSummary(), this.reportDelay);
+            },
+
+            logSummary() {
+                if (this.failed.size === 0) return;
+                console.warn(`Vortixia: ${this.failed.size} image${this.failed.size === 1 ? '' : 's'} failed to load and ${this.failed.size === 1 ? 'was' : 'were'} replaced with placeholders.`);
+                console.table(Array.from(this.failed, ([src, alt]) => ({ src, alt })));
+
+                // Start the next burst (e.g. after a router navigation) from an empty list
+                this.failed.clear();
+            }
+        },
+
+        /**
+         * Equalizes card heights within each visual row of the card grids, so a
+         * row lines up without stretching every card to the tallest one on the
+         * page. Grids are re-measured in one batched frame when their width
+         * changes, once fonts and images load, or when a module reports changed
+         * content via `schedule`. Add `data-equal-heights="off"` to opt a grid out.
+         */
+        equalHeights: {
+            gridSelector: '.projects-grid, .services-grid, .team-grid',
+            itemSelector: '.project-card, .service-card, .team-member',
+            grids: new Set(),
+            widths: new WeakMap(),
+            pending: new Set(),
+            frame: null,
+            observer: null,
+
+            init() {
+                if ('ResizeObserver' in window) {
+                    this.observer = new ResizeObserver(entries => {
+                        entries.forEach(entry => {
+                            // Height changes are our own doing; only a new width can reflow rows
+                            const width = Math.round(entry.contentRect.width);
+                            if (this.widths.get(entry.target) === width) return;
+                            this.widths.set(entry.target, width);
+                            this.schedule(entry.target);
+                        });
+                    });
+                } else {
+                    window.vortixiaUtils?.scheduler?.subscribe('resize', { write: () => this.scheduleAll() });
+                }
+
+                // Image load events do not bubble, so listen in the capture phase
+                document.addEventListener('load', (event) => {
+                    const grid = event.target.tagName === 'IMG' ? event.target.closest(this.gridSelector) : null;
+                    if (grid) this.schedule(grid);
+                }, true);
+                window.addEventListener('load', () => this.scheduleAll());
+                document.fonts?.ready.then(() => this.scheduleAll());
+
+                this.refresh();
+            },
+
+            refresh() {
+                this.grids.forEach(grid => {
+                    if (grid.isConnected) return;
+                    this.observer?.unobserve(grid);
+                    this.grids.delete(grid);
+                });
+
+                document.querySelectorAll(this.gridSelector).forEach(grid => {
+                    if (!this.grids.has(grid)) {
+                        this.grids.add(grid);
+                        this.observer?.observe(grid);
+                    }
+                    this.schedule(grid);
+                });
+            },
+
+            scheduleAll() {
+                this.grids.forEach(grid => this.schedule(grid));
+            },
+
+            schedule(grid) {
+                if (!grid) return;
+                this.pending.add(grid);
+                if (this.frame) return;
+
+                this.frame = requestAnimationFrame(() => {
+                    this.frame = null;
+                    this.flush();
+                });
+            },
+
+            getItems(grid) {
+                return Array.from(grid.querySelectorAll(this.itemSelector))
+                    .filter(item => item.closest(this.gridSelector) === grid);
+            },
+
+            isDisabled(grid) {
+                return grid.dataset.equalHeights === 'off';
+            },
+
+            // Resets every pending grid before measuring any of them, so layout is
+            // read once per frame instead of once per card
+            flush() {
+                const grids = Array.from(this.pending).filter(grid => grid.isConnected);
+                this.pending.clear();
+
+                grids.forEach(grid => this.getItems(grid).forEach(item => (item.style.minHeight = '')));
+
+                const measured = grids
+                    .filter(grid => !this.isDisabled(grid))
+                    .map(grid => this.getItems(grid)
+                        .filter(item => !item.hidden && item.offsetParent !== null)
+                        .map(item => ({ item, top: item.offsetTop, height: item.offsetHeight })));
+
+                measured.forEach(items => {
+                    this.getRowHeights(items).forEach((height, item) => {
+                        item.style.minHeight = `${height}px`;
+                    });
+                });
+            },
+
+            /**
+             * Groups measured items into visual rows by their top offset. Items
+             * within `tolerance` pixels of a row's top belong to that row.
+             */
+            groupRows(items, tolerance = 2) {
+                const rows = [];
+
+                [...items].sort((a, b) => a.top - b.top).forEach(entry => {
+                    const row = rows.find(candidate => Math.abs(candidate.top - entry.top) <= tolerance);
+                    if (row) {
+                        row.items.push(entry);
+                    } else {
+                        rows.push({ top: entry.top, items: [entry] });
+                    }
+                });
+
+                return rows.map(row => row.items);
+            },
+
+            /**
+             * Maps each item in a multi-card row to that row's tallest height.
+             * Cards alone on their row (single-column layouts) are left alone.
+             */
+            getRowHeights(items) {
+                const heights = new Map();
+
+                this.groupRows(items).forEach(row => {
+                    if (row.length < 2) return;
+                    const tallest = Math.max(...row.map(entry => entry.height));
+                    row.forEach(entry => heights.set(entry.item, tallest));
+                });
+
+                return heights;
+            }
+        },
+
+        /**
+         * Turns the resume upload fields into a drag-and-drop widget that checks
+         * file type and size and shows the chosen file with a remove option.
+         */
+        uploads: {
+            defaultMaxSizeMb: 5,
+            mimeTypes: {
+                pdf: ['application/pdf'],
+                doc: ['application/msword'],
+                docx: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document']
+            },
+            // Some platforms report no MIME type (or a generic one) for office documents
+            genericMimeTypes: ['', 'application/octet-stream'],
+            messages: {
+                single: 'Please drop a single file here.'
+            },
+
+            init() {
+                document.querySelectorAll('.file-upload-container').forEach(container => this.setup(container));
+            },
+
+            setup(container) {
+                const input = container.querySelector('.file-input');
+                const label = container.querySelector('.file-upload-label');
+                if (!input || !label) return;
+
+                let fileName = container.querySelector('.file-name');
+                if (!fileName) {
+                    fileName = document.createElement('div');
+                    fileName.className = 'file-name';
+                    container.appendChild(fileName);
+                }
+                fileName.setAttribute('aria-live', 'polite');
+
+                const labelText = label.querySelector('span');
+                if (labelText) labelText.dataset.defaultText = labelText.textContent.trim();
+
+                input.addEventListener('change', () => this.handleChange(input, container));
+
+                ['dragenter', 'dragover'].forEach(eventName => {
+                    label.addEventListener(eventName, event => {
+                        event.preventDefault();
+                        label.classList.add('is-dragover');
+                    });
+                });
+
+                ['dragleave', 'dragend', 'drop'].forEach(eventName => {
+                    label.addEventListener(eventName, () => label.classList.remove('is-dragover'));
+                });
+
+                label.addEventListener('drop', event => {
+                    event.preventDefault();
+                    const files = event.dataTransfer && event.dataTransfer.files;
+                    if (!files || files.length === 0) return;
+
+                    if (files.length > 1 && !input.multiple) {
+                        this.render(input, container, this.messages.single);
+                        return;
+                    }
+
+                    input.files = files;
+                    input.dispatchEvent(new Event('change', { bubbles: true }));
+                });
+
+                input.form?.addEventListener('reset', () => {
+                    // Reset fires before the browser clears the inputs
+                    setTimeout(() => this.render(input, container), 0);
+                });
+            },
+
+            getConfig(input) {
+                const extensions = (input.getAttribute('accept') || '')
+                    .split(',')
+                    .map(type => type.trim().replace(/^\./, '').toLowerCase())
+                    .filter(type => type && !type.includes('/'));
+                const maxSizeMb = Number(input.dataset.maxSizeMb) || this.defaultMaxSizeMb;
+
+                return {
+                    extensions,
+                    maxSize: maxSizeMb * 1024 * 1024
+                };
+            },
+
+            /**
+             * Returns the rejection message for a list of files, or an empty string
+             * when every file has an allowed extension and MIME type and the total
+             * size is within the limit.
+             */
+            validateFiles(files, { extensions = [], maxSize = this.defaultMaxSizeMb * 1024 * 1024 } = {}) {
+                const list = Array.from(files || []);
+                const allowed = this.formatExtensions(extensions);
+
+                for (const file of list) {
+                    const extension = file.name.includes('.') ? file.name.split('.').pop().toLowerCase() : '';
+                    const type = file.type || '';
+                    const knownTypes = this.mimeTypes[extension] || [];
+                    const typeMatches = this.genericMimeTypes.includes(type) || knownTypes.length === 0 || knownTypes.includes(type);
+
+                    if (extensions.length > 0 && (!extensions.includes(extension) || !typeMatches)) {
+                        return `"${file.name}" is not a supported file type. Please upload a ${allowed} file.`;
+                    }
+                }
+
+                const totalSize = list.reduce((sum, file) => sum + file.size, 0);
+                if (totalSize > maxSize) {
+                    const subject = list.length === 1 ? `"${list[0].name}" is` : 'These files are';
+                    return `${subject} ${this.formatSize(totalSize)}. The maximum upload size is ${this.formatSize(maxSize)}.`;
+                }
+
+                return '';
+            },
+
+            formatExtensions(extensions) {
+                const names = extensions.map(extension => extension.toUpperCase());
+                if (names.length <= 1) return names.join('');
+                return `${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}`;
+            },
+
+            formatSize(bytes) {
+                if (bytes < 1024) return `${bytes} B`;
+                if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+                const megabytes = bytes / (1024 * 1024);
+                return `${Number.isInteger(megabytes) ? megabytes : megabytes.toFixed(1)} MB`;
+            },
+
+            handleChange(input, container) {
+                const message = this.validateFiles(input.files, this.getConfig(input));
+
+                // A rejected selection is cleared rather than left invalid, so the
+                // input is back to empty: optional uploads never block submission
+                // and required ones get the usual required message
+                if (message) input.value = '';
+
+                this.render(input, container, message);
+            },
+
+            /**
+             * Shows the selected files with a remove button, or the reason the
+             * last selection was rejected.
+             */
+            render(input, container, rejection = '') {
+                const fileName = container.querySelector('.file-name');
+                const labelText = container.querySelector('.file-upload-label span');
+                const files = Array.from(input.files || []);
+
+                fileName.textContent = '';
+                container.classList.toggle('has-file', files.length > 0);
+
+                if (labelText) {
+                    labelText.textContent = files.length > 0
+                        ? `Replace ${input.multiple ? 'Files' : 'File'}`
+                        : labelText.dataset.defaultText;
+                }
+
+                if (rejection) {
+                    const error = document.createElement('span');
+                    error.className = 'file-rejection';
+                    error.textContent = rejection;
+                    fileName.appendChild(error);
+                }
+
+                if (files.length === 0) return;
+
+                const summary = document.createElement('span');
+                summary.className = 'file-name-text';
+                summary.textContent = files.map(file => `${file.name} (${this.formatSize(file.size)})`).join(', ');
+
+                const removeButton = document.createElement('button');
+                removeButton.type = 'button';
+                removeButton.className = 'file-remove';
+                removeButton.setAttribute('aria-label', files.length === 1 ? `Remove ${files[0].name}` : 'Remove selected files');
+                removeButton.innerHTML = '<i class="fas fa-times" aria-hidden="true"></i>';
+                removeButton.addEventListener('click', () => {
+                    input.value = '';
+                    this.render(input, container);
+                    input.focus();
+                });
+
+                fileName.append(summary, removeButton);
+            }
+        },
+
+        /**
+         * Validates the application and contact forms with inline, accessible
+         * error messages and submits them (including any uploads) to their
+         * endpoint. Forms can opt into spam protection with a `.form-honeypot`
+         * field, `data-min-submit-seconds` and `data-rate-limit-seconds`.
+         */
+        forms: {
+            selector: 'form.application-form, form.contact-form',
+            endpoint: '/api/applications',
+            rateLimitKey: 'vortixia-form-sent',
+            startedAt: new WeakMap(),
+            emailPattern: /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/,
+            phonePattern: /^\+?[\d\s().-]{7,20}$/,
+            messages: {
+                required: 'This field is required.',
+                file: 'Please choose a file to upload.',
+                email: 'Please enter a valid email address.',
+                tel: 'Please enter a valid phone number.',
+                minLength: 'Please enter at least {count} characters.',
+                maxLength: 'Please use no more than {count} characters.',
+                invalid: 'Please correct the highlighted fields and try again.',
+                success: 'Thank you! Your details have been sent. Our team will be in touch soon.',
+                failure: 'We could not send the form. Please check your connection and try again.',
+                tooFast: 'Please take a moment to review your details, then send again.',
+                rateLimited: 'Your submission was just sent. You can send another in {count} seconds.'
+            },
+
+            init() {
+                document.querySelectorAll(this.selector).forEach(form => this.setup(form));
+            },
+
+            setup(form) {
+                // Inline messages replace the native validation bubbles
+                form.noValidate = true;
+                this.startedAt.set(form, Date.now());
+
+                this.getFields(form).forEach(field => {
+                    const validateOn = field.type === 'file' || field.tagName === 'SELECT' ? 'change' : 'blur';
+                    field.addEventListener(validateOn, () => this.validateField(field));
+                    field.addEventListener('input', () => {
+                        if (field.getAttribute('aria-invalid') === 'true') this.validateField(field);
+                    });
+                });
+
+                form.addEventListener('submit', event => {
+                    event.preventDefault();
+                    this.handleSubmit(form);
+                });
+            },
+
+            getFields(form) {
+                return Array.from(form.elements).filter(field =>
+                    ['INPUT', 'SELECT', 'TEXTAREA'].includes(field.tagName) &&
+                    field.name &&
+                    field.type !== 'hidden' &&
+                    !field.disabled &&
+                    !field.closest('.form-honeypot')
+                );
+            },
+
+            getMessage(form, key) {
+                // Forms can override the success and failure copy with data attributes
+                return form.dataset[`${key}Message`] || this.messages[key];
+            },
+
+            /**
+             * Decides how to treat a submission before it is sent: 'bot' when the
+             * honeypot is filled, 'too-fast' when it arrives sooner than a person
+             * could fill the form, otherwise 'ok'.
+             */
+            getSpamCheck({ honeypotValue = '', startedAt = 0, now = Date.now(), minSeconds = 0 } = {}) {
+                if (honeypotValue.trim()) return 'bot';
+                if (minSeconds > 0 && now - startedAt < minSeconds * 1000) return 'too-fast';
+                return 'ok';
+            },
+
+            /**
+             * Returns how many whole seconds remain before another submission is
+             * allowed, or 0 when the form may be sent again.
+             */
+            getRetryDelay(lastSentAt, now = Date.now(), limitSeconds = 0) {
+                if (!lastSentAt || limitSeconds <= 0) return 0;
+                const remaining = lastSentAt + limitSeconds * 1000 - now;
+                return remaining > 0 ? Math.ceil(remaining / 1000) : 0;
+            },
+
+            getLastSentAt(form) {
+                try {
+                    return Number(sessionStorage.getItem(`${this.rateLimitKey}:${this.getEndpoint(form)}`)) || 0;
+                } catch (error) {
+                    return 0;
+                }
+            },
+
+            markSent(form) {
+                try {
+                    sessionStorage.setItem(`${this.rateLimitKey}:${this.getEndpoint(form)}`, String(Date.now()));
+                } catch (error) {
+                    // Storage can be unavailable (e.g. private mode); rate limiting is best effort
+                }
+            },
+
+            getRules(field) {
+                return {
+                    required: field.required,
+                    type: field.type,
+                    minLength: field.minLength > 0 ? field.minLength : null,
+                    maxLength: field.maxLength > 0 ? field.maxLength : null
+                };
+            },
+
+            /**
+             * Returns the error message for a value, or an empty string when valid.
+             * File fields pass their FileList (or any array-like) as the value.
+             */
+            validateValue(value, rules = {}) {
+                if (rules.type === 'file') {
+                    const hasFile = Boolean(value && value.length);
+                    return rules.required && !hasFile ? this.messages.file : '';
+                }
+
+                const text = typeof value === 'string' ? value.trim() : '';
+                if (!text) return rules.required ? this.messages.required : '';
+
+                if (rules.type === 'email' && !this.emailPattern.test(text)) return this.messages.email;
+                if (rules.type === 'tel' && !this.phonePattern.test(text)) return this.messages.tel;
+                if (rules.minLength && text.length < rules.minLength) {
+                    return this.messages.minLength.replace('{count}', rules.minLength);
+                }
+                if (rules.maxLength && text.length > rules.maxLength) {
+                    return this.messages.maxLength.replace('{count}', rules.maxLength);
+                }
+
+                return '';
+            },
+
+            validateField(field) {
+                const value = field.type === 'file' ? field.files : field.value;
+                // Custom validity carries component-level errors set by other modules
+                const message = field.validity?.customError
+                    ? field.validationMessage
+                    : this.validateValue(value, this.getRules(field));
+                this.showError(field, message);
+                return !message;
+            },
+
+            validateForm(form) {
+                let firstInvalid = null;
+                this.getFields(form).forEach(field => {
+                    if (!this.validateField(field) && !firstInvalid) firstInvalid = field;
+                });
+                return firstInvalid;
+            },
+
+            showError(field, message) {
+                const group = field.closest('.form-group') || field.parentElement;
+                const errorId = `${field.id || field.name}-error`;
+                let error = group.querySelector('.form-error');
+
+                if (!error && message) {
+                    error = document.createElement('p');
+                    error.className = 'form-error';
+                    error.id = errorId;
+                    group.appendChild(error);
+                }
+
+                if (error) {
+                    error.textContent = message;
+                    error.hidden = !message;
+                }
+
+                const describedBy = (field.getAttribute('aria-describedby') || '')
+                    .split(/\s+/)
+                    .filter(id => id && id !== errorId);
+                if (message) describedBy.push(errorId);
+
+                if (describedBy.length > 0) {
+                    field.setAttribute('aria-describedby', describedBy.join(' '));
+                } else {
+                    field.removeAttribute('aria-describedby');
+                }
+
+                field.setAttribute('aria-invalid', String(Boolean(message)));
+                group.classList.toggle('has-error', Boolean(message));
+            },
+
+            clearErrors(form) {
+                this.getFields(form).forEach(field => this.showError(field, ''));
+            },
+
+            getEndpoint(form) {
+                return form.dataset.endpoint || this.endpoint;
+            },
+
+            serialize(form) {
+                // FormData picks up the resume file and any hidden fields
+                return new FormData(form);
+            },
+
+            async send(endpoint, body) {
+                const response = await fetch(endpoint, {
+                    method: 'POST',
+                    body,
+                    headers: { Accept: 'application/json' }
+                });
+
+                if (!response.ok) {
+                    throw new Error(`Submission failed with status ${response.status}`);
+                }
+
+                const contentType = response.headers.get('content-type') || '';
+                return contentType.includes('application/json') ? response.json() : null;
+            },
+
+            async handleSubmit(form) {
+                if (form.getAttribute('aria-busy') === 'true') return;
+
+                const firstInvalid = this.validateForm(form);
+                if (firstInvalid) {
+                    this.setStatus(form, 'error', this.messages.invalid);
+                    firstInvalid.focus();
+                    return;
+                }
+
+                const retryDelay = this.getRetryDelay(this.getLastSentAt(form), Date.now(), Number(form.dataset.rateLimitSeconds) || 0);
+                if (retryDelay > 0) {
+                    this.setStatus(form, 'error', this.messages.rateLimited.replace('{count}', retryDelay));
+                    return;
+                }
+
+                const spamCheck = this.getSpamCheck({
+                    honeypotValue: form.querySelector('.form-honeypot input')?.value,
+                    startedAt: this.startedAt.get(form),
+                    minSeconds: Number(form.dataset.minSubmitSeconds) || 0
+                });
+
+                if (spamCheck === 'too-fast') {
+                    this.setStatus(form, 'error', this.messages.tooFast);
+                    return;
+                }
+
+                this.setStatus(form, '', '');
+                this.setLoading(form, true);
+
+                try {
+                    // Bots that fill the honeypot see the normal success state but nothing is sent
+                    if (spamCheck === 'ok') {
+                        await this.send(this.getEndpoint(form), this.serialize(form));
+                    }
+                    this.markSent(form);
+                    form.reset();
+                    this.clearErrors(form);
+                    this.startedAt.set(form, Date.now());
+                    this.setStatus(form, 'success', this.getMessage(form, 'success'));
+                    form.dispatchEvent(new CustomEvent('vortixia:form-submitted', { bubbles: true }));
+                } catch (error) {
+                    this.setStatus(form, 'error', this.getMessage(form, 'failure'));
+                } finally {
+                    this.setLoading(form, false);
+                }
+            },
+
+            setLoading(form, isLoading) {
+                form.setAttribute('aria-busy', String(isLoading));
+                form.querySelectorAll('[type="submit"]').forEach(button => {
+                    button.disabled = isLoading;
+                    button.classList.toggle('is-loading', isLoading);
+                });
+            },
+
+            setStatus(form, type, message) {
+                let status = form.querySelector('.form-message');
+                if (!status) {
+                    status = document.createElement('div');
+                    status.className = 'form-message';
+                    status.setAttribute('role', 'status');
+                    status.setAttribute('aria-live', 'polite');
+                    form.appendChild(status);
+                }
+
+                status.textContent = message;
+                status.classList.remove('success', 'error');
+                if (type) status.classList.add(type);
+                status.classList.toggle('show', Boolean(message));
+            }
+        },
+
+        /**
+         * Autosaves form drafts (everything except file uploads) to localStorage,
+         * offers to restore them on return, clears them once the form is sent and
+         * warns before leaving a page with unsent changes.
+         */
+        drafts: {
+            storagePrefix: 'vortixia-draft',
+            saveDelay: 500,
+            dirtyForms: new Set(),
+            pendingForms: new Set(),
+            allowUnload: false,
+            unloadBound: false,
+
+            init() {
+                // Forms from a page the router navigated away from no longer count
+                this.dirtyForms.clear();
+                this.pendingForms.clear();
+                this.allowUnload = false;
+
+                const forms = document.querySelectorAll(VortixiaApp.forms.selector);
+                if (forms.length === 0) return;
+
+                forms.forEach((form, index) => this.setup(form, index));
+
+                if (this.unloadBound) return;
+                this.unloadBound = true;
+                window.addEventListener('beforeunload', event => {
+                    if (this.allowUnload || !this.hasUnsavedChanges()) return;
+                    event.preventDefault();
+                    event.returnValue = '';
+                });
+            },
+
+            setup(form, index) {
+                const key = `${this.storagePrefix}:${window.location.pathname}${window.location.search}:${form.id || index}`;
+                const debounce = window.vortixiaUtils?.debounce || (callback => callback);
+                const save = debounce(() => this.save(form, key), this.saveDelay);
+
+                const onEdit = () => {
+                    this.dirtyForms.add(form);
+                    if (!this.pendingForms.has(form)) save();
+                };
+                form.addEventListener('input', onEdit);
+                form.addEventListener('change', onEdit);
+
+                form.addEventListener('vortixia:form-submitted', () => {
+                    this.remove(key);
+                    this.dirtyForms.delete(form);
+                    this.pendingForms.delete(form);
+                    form.querySelector('.draft-prompt')?.remove();
+                });
+
+                const draft = this.read(key);
+                if (draft && this.hasValues(draft.values)) {
+                    this.showPrompt(form, key, draft);
+                }
+            },
+
+            getFields(form) {
+                return VortixiaApp.forms.getFields(form).filter(field => field.type !== 'file');
+            },
+
+            /**
+             * Collects field values by name; checkboxes and radios contribute the
+             * values that are checked, repeated names collect into arrays.
+             */
+            collectValues(fields) {
+                const values = {};
+
+                fields.forEach(field => {
+                    if (field.type === 'checkbox' || field.type === 'radio') {
+                        values[field.name] = values[field.name] || [];
+                        if (field.checked) values[field.name].push(field.value);
+                        return;
+                    }
+                    values[field.name] = field.value;
+                });
+
+                return values;
+            },
+
+            applyValues(fields, values) {
+                fields.forEach(field => {
+                    if (!(field.name in values)) return;
+                    const value = values[field.name];
+
+                    if (field.type === 'checkbox' || field.type === 'radio') {
+                        field.checked = Array.isArray(value) && value.includes(field.value);
+                    } else {
+                        field.value = value;
+                    }
+                });
+            },
+
+            hasValues(values) {
+                return Object.values(values || {}).some(value =>
+                    Array.isArray(value) ? value.length > 0 : String(value).trim() !== ''
+                );
+            },
+
+            hasUnsavedChanges() {
+                return this.dirtyForms.size > 0;
+            },
+
+            /**
+             * Asks before navigating away from unsent changes. Returns true when it
+             * is fine to leave.
+             */
+            confirmLeave() {
+                if (!this.hasUnsavedChanges()) return true;
+
+                const shouldLeave = window.confirm('Your form has not been sent yet. A draft is saved on this device. Leave this page?');
+                this.allowUnload = shouldLeave;
+                return shouldLeave;
+            },
+
+            read(key) {
+                try {
+                    const draft = JSON.parse(localStorage.getItem(key));
+                    return draft && typeof draft.values === 'object' ? draft : null;
+                } catch (error) {
+                    return null;
+                }
+            },
+
+            save(form, key) {
+                const values = this.collectValues(this.getFields(form));
+
+                try {
+                    if (this.hasValues(values)) {
+                        localStorage.setItem(key, JSON.stringify({ savedAt: Date.now(), values }));
+                    } else {
+                        localStorage.removeItem(key);
+                    }
+                } catch (error) {
+                    // Storage can be full or unavailable (e.g. private mode); drafts are best effort
+                }
+            },
+
+            remove(key) {
+                try {
+                    localStorage.removeItem(key);
+                } catch (error) {
+                    // Nothing to clean up when storage is unavailable
+                }
+            },
+
+            showPrompt(form, key, draft) {
+                // Hold autosave until the user decides, so typing does not overwrite the old draft
+                this.pendingForms.add(form);
+
+                const savedAt = new Date(draft.savedAt);
+                const when = Number.isNaN(savedAt.getTime())
+                    ? ''
+                    : ` from ${savedAt.toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })}`;
+
+                const prompt = document.createElement('div');
+                prompt.className = 'draft-prompt';
+                prompt.setAttribute('role', 'region');
+                prompt.setAttribute('aria-label', 'Saved draft');
+                prompt.innerHTML = `
+                    <p><i class="fas fa-history" aria-hidden="true"></i> You have a saved draft${VortixiaApp.jobs.escapeHtml(when)}.</p>
+                    <div class="draft-prompt-actions">
+                        <button type="button" class="draft-restore">Restore draft</button>
+                        <button type="button" class="draft-discard">Discard</button>
+                    </div>`;
+
+                const close = () => {
+                    this.pendingForms.delete(form);
+                    prompt.remove();
+                };
+
+                prompt.querySelector('.draft-restore').addEventListener('click', () => {
+                    this.applyValues(this.getFields(form), draft.values);
+                    close();
+                    this.dirtyForms.add(form);
+                    this.save(form, key);
+                    this.getFields(form)[0]?.focus();
+                });
+
+                prompt.querySelector('.draft-discard').addEventListener('click', () => {
+                    this.remove(key);
+                    close();
+                    // Keep anything typed while the prompt was open
+                    this.save(form, key);
+                    this.getFields(form)[0]?.focus();
+                });
+
+                form.prepend(prompt);
+            }
+        },
+
+        /**
+         * Fills the shared application page (application.html?role=...) with the
+         * role's title, overview and role-specific questions from the jobs feed.
+         */
+        applications: {
+            queryParam: 'role',
+
+            async init() {
+                const form = document.querySelector('form.application-form[data-role-form]');
+                if (!form) return;
+
+                const slug = new URLSearchParams(window.location.search).get(this.queryParam) || '';
+                this.setRoleFields(form, slug, this.humanize(slug));
+                if (!slug) return;
+
+                let jobs;
+                try {
+                    jobs = VortixiaApp.jobs.parseFeed(await VortixiaApp.jobs.load());
+                } catch (error) {
+                    // Without the feed the page still works as a general application
+                    return;
+                }
+
+                const job = jobs.find(item => item.application === slug);
+                if (job) {
+                    this.render(form, job);
+                } else {
+                    this.renderClosed(form);
+                }
+            },
+
+            humanize(slug) {
+                return slug
+                    .split('-')
+                    .filter(Boolean)
+                    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+                    .join(' ');
+            },
+
+            setRoleFields(form, slug, title) {
+                const roleField = form.querySelector('input[type="hidden"][name="role"]');
+                const positionField = form.querySelector('input[type="hidden"][name="position"]');
+                if (roleField) roleField.value = slug;
+                if (positionField) positionField.value = title;
+            },
+
+            render(form, job) {
+                const config = job.form || {};
+                const escape = value => VortixiaApp.jobs.escapeHtml(value);
+
+                document.title = `Apply for ${job.title} - Vortixia`;
+                this.setRoleFields(form, job.application, job.title);
+
+                const title = document.querySelector('[data-role-title]');
+                const summary = document.querySelector('[data-role-summary]');
+                if (title) title.textContent = `${job.title} Position`;
+                if (summary) summary.textContent = config.summary || job.description || '';
+
+                const details = document.querySelector('.job-details');
+                const detailsGrid = details?.querySelector('.details-grid');
+                if (detailsGrid && Array.isArray(config.details) && config.details.length > 0) {
+                    detailsGrid.innerHTML = config.details.map(detail => `
+                        <div class="detail-item">
+                            <i class="fas ${escape(detail.icon)}"></i>
+                            <div class="detail-content">
+                                <span class="detail-label">${escape(detail.label)}</span>
+                                <span class="detail-value">${escape(detail.value)}</span>
+                            </div>
+                        </div>`
+                    ).join('');
+                    details.hidden = false;
+                }
+
+                const experienceLabel = form.querySelector('label[for="experience"]');
+                if (experienceLabel && config.experienceLabel) {
+                    experienceLabel.textContent = config.experienceLabel;
+                }
+
+                const questions = form.querySelector('.role-questions');
+                if (questions) {
+                    questions.innerHTML = (config.sections || []).map(section => `
+                        <div class="form-section">
+                            <h3 class="form-section-title">${escape(section.title)}</h3>
+                            ${(section.questions || []).map(question => this.renderQuestion(question)).join('')}
+                        </div>`
+                    ).join('');
+                }
+            },
+
+            renderQuestion(question) {
+                const escape = value => VortixiaApp.jobs.escapeHtml(value);
+                const id = `question-${question.name}`;
+                const required = question.required ? ' required' : '';
+                const placeholder = question.placeholder ? ` placeholder="${escape(question.placeholder)}"` : '';
+
+                if (question.type === 'checkboxes') {
+                    const options = (question.options || []).map(option => `
+                        <label class="checkbox-label">
+                            <input type="checkbox" name="${escape(question.name)}" value="${escape(option.value)}"> ${escape(option.label)}
+                        </label>`
+                    ).join('');
+
+                    return `
+                        <div class="form-group">
+                            <label class="form-label" id="${escape(id)}-label">${escape(question.label)}</label>
+                            <div class="checkbox-grid" role="group" aria-labelledby="${escape(id)}-label">${options}</div>
+                        </div>`;
+                }
+
+                if (question.type === 'textarea') {
+                    return `
+                        <div class="form-group">
+                            <label class="form-label" for="${escape(id)}">${escape(question.label)}</label>
+                            <textarea class="form-input form-textarea" id="${escape(id)}" name="${escape(question.name)}"
+                                rows="4"${placeholder}${required}></textarea>
+                        </div>`;
+                }
+
+                if (question.type === 'file') {
+                    const maxSize = question.maxSizeMb ? ` data-max-size-mb="${escape(question.maxSizeMb)}"` : '';
+                    const multiple = question.multiple ? ' multiple' : '';
+
+                    return `
+                        <div class="form-group">
+                            <label class="form-label" for="${escape(id)}">${escape(question.label)}</label>
+                            <div class="file-upload-container">
+                                <input type="file" id="${escape(id)}" name="${escape(question.name)}" class="file-input"
+                                    accept="${escape(question.accept || '')}"${maxSize}${multiple}${required}>
+                                <label for="${escape(id)}" class="file-upload-label">
+                                    <i class="fas fa-cloud-upload-alt"></i>
+                                    <span>Upload ${escape(question.label)}</span>
+                                    <small>${escape(question.hint || '')}</small>
+                                </label>
+                                <div class="file-name"></div>
+                            </div>
+                        </div>`;
+                }
+
+                const min = question.min !== undefined ? ` min="${escape(question.min)}"` : '';
+
+                return `
+                    <div class="form-group">
+                        <label class="form-label" for="${escape(id)}">${escape(question.label)}</label>
+                        <input class="form-input" type="${escape(question.type || 'text')}" id="${escape(id)}"
+                            name="${escape(question.name)}"${min}${placeholder}${required}>
+                    </div>`;
+            },
+
+            renderClosed(form) {
+                const title = document.querySelector('[data-role-title]');
+                const summary = document.querySelector('[data-role-summary]');
+
+                if (title) title.textContent = 'This role is no longer open';
+                if (summary) {
+                    summary.innerHTML = 'Browse our <a href="open-positions.html">open positions</a> or ' +
+                        '<a href="submit-resume.html">submit your resume</a> and we will reach out when a match opens up.';
+                }
+                form.hidden = true;
+            }
+        },
+
+        /**
+         * Loads the open roles from the jobs feed and renders the positions grid,
+         * the Careers > Applications dropdown and the mobile applications submenu.
+         * The hand-written markup stays in place when the feed cannot be loaded
+         * (for example when pages are opened from the file system).
+         */
+        jobs: {
+            feedUrl: 'assets/data/jobs.json',
+            request: null,
+            items: [],
+
+            async init() {
+                const hasTargets = document.querySelector('.positions-grid, .nested-dropdown-menu, .mobile-submenu[data-submenu="applications"]');
+                if (!hasTargets || window.location.protocol === 'file:') return;
+
+                try {
+                    this.items = this.parseFeed(await this.load());
+                } catch (error) {
+                    return;
+                }
+
+                // An empty feed keeps the static cards and menus rather than blanking them
+                if (this.items.length === 0) return;
+
+                this.renderGrid();
+                this.renderMenus();
+                VortixiaApp.navigation.updateActiveLink();
+            },
+
+            load() {
+                // Shared by the listings, menus and the application page
+                this.request = this.request || this.fetchFeed();
+                return this.request;
+            },
+
+            async fetchFeed() {
+                const response = await fetch(this.feedUrl, { headers: { Accept: 'application/json' } });
+                if (!response.ok) {
+                    throw new Error(`Jobs feed failed to load with status ${response.status}`);
+                }
+                return response.json();
+            },
+
+            /**
+             * Keeps only complete, open roles from the feed. Set `"open": false`
+             * (or delete the entry) to close a role, or give it a `"closes"` date
+             * (YYYY-MM-DD, the last day applications are taken) to close it
+             * automatically. Either way the listings, the Careers menus and the
+             * application page agree. Roles without a `closes` date stay open.
+             */
+            parseFeed(data, now = new Date()) {
+                const jobs = Array.isArray(data) ? data : data?.jobs;
+                if (!Array.isArray(jobs)) {
+                    throw new Error('Jobs feed must contain a "jobs" array');
+                }
+
+                return jobs.filter(job => job && job.title && job.application && job.open !== false && !this.isExpired(job, now));
+            },
+
+            isExpired(job, now = new Date()) {
+                const closes = VortixiaApp.positions.parseDate(job.closes);
+                if (!closes) return false;
+
+                // Applications are taken until the end of the closing day
+                closes.setDate(closes.getDate() + 1);
+                return now >= closes;
+            },
+
+            getApplicationUrl(job) {
+                return `application.html?role=${encodeURIComponent(job.application)}`;
+            },
+
+            escapeHtml(value) {
+                return String(value ?? '')
+                    .replace(/&/g, '&amp;')
+                    .replace(/</g, '&lt;')
+                    .replace(/>/g, '&gt;')
+                    .replace(/"/g, '&quot;')
+                    .replace(/'/g, '&#39;');
+            },
+
+            formatPosted(job) {
+                const posted = new Date(job.posted);
+                if (Number.isNaN(posted.getTime())) return '';
+                return `Posted ${posted.toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' })}`;
+            },
+
+            renderCard(job) {
+                const escape = value => this.escapeHtml(value);
+                const meta = (job.meta || []).map(item =>
+                    `<span class="meta-pill"><i class="fas ${escape(item.icon)}"></i> ${escape(item.label)}</span>`
+                ).join('');
+                const highlights = (job.highlights || []).map(item => `<li>${escape(item)}</li>`).join('');
+
+                return `
+                    <article class="job-card" data-job-id="${escape(job.id)}">
+                        <header class="job-header">
+                            <div>
+                                <span class="job-discipline">${escape(job.discipline)}</span>
+                                <h3 class="job-title">${escape(job.title)}</h3>
+                            </div>
+                            <time class="job-posted" datetime="${escape(job.posted)}">${escape(this.formatPosted(job))}</time>
+                        </header>
+                        <div class="job-meta">${meta}</div>
+                        <p class="job-description">${escape(job.description)}</p>
+                        <ul class="job-highlights">${highlights}</ul>
+                        <footer class="job-footer">
+                            <div class="job-location">${escape(job.location)}</div>
+                            <a href="${escape(this.getApplicationUrl(job))}" class="apply-button">
+                                <span>Apply Now</span>
+                                <i class="fas fa-arrow-right"></i>
+                            </a>
+                        </footer>
+                    </article>`;
+            },
+
+            renderGrid() {
+                const grid = document.querySelector('.positions-grid');
+                if (!grid) return;
+
+                grid.innerHTML = this.items.map(job => this.renderCard(job)).join('');
+
+                grid.querySelectorAll('.job-card').forEach((card, index) => {
+                    VortixiaApp.animations.prepareElement(card, 'card', index * 0.08);
+                });
+                VortixiaApp.animations.setupButtonInteractions();
+            },
+
+            renderMenus() {
+                const escape = value => this.escapeHtml(value);
+
+                document.querySelectorAll('.nav-links .nested-dropdown-menu').forEach(menu => {
+                    menu.innerHTML = this.items.map(job =>
+                        `<li><a href="${escape(this.getApplicationUrl(job))}">${escape(job.title)}</a></li>`
+                    ).join('');
+                    VortixiaApp.dropdowns.prepareMenu(menu);
+                });
+
+                document.querySelectorAll('.mobile-submenu[data-submenu="applications"] .mobile-menu-list').forEach(list => {
+                    list.innerHTML = this.items.map(job => `
+                        <li class="mobile-menu-item">
+                            <a href="${escape(this.getApplicationUrl(job))}" class="mobile-menu-link">
+                                <i class="fas ${escape(job.icon || 'fa-briefcase')}"></i>
+                                <span>${escape(job.title)}</span>
+                            </a>
+                        </li>`
+                    ).join('');
+                });
+            }
+        },
+
+        /**
+         * Shared pieces of the filterable listings (open positions, the project
+         * portfolio and the team directory): text matching and highlighting, the
+         * debounced search box, chip state, keeping the filter state in the query
+         * string and the empty state shown when nothing matches.
+         */
+        filters: {
+            normalize(value) {
+                return String(value || '').replace(/\s+/g, ' ').trim().toLowerCase();
+            },
+
+            /**
+             * Turns a tag label into its URL value, e.g. "Health & Wellness" becomes
+             * "health-wellness".
+             */
+            slugify(value) {
+                return String(value || '')
+                    .toLowerCase()
+                    .replace(/&amp;|&/g, ' ')
+                    .replace(/[^a-z0-9]+/g, '-')
+                    .replace(/^-+|-+$/g, '');
+            },
+
+            parseList(value) {
+                return String(value || '').split(',').map(item => this.slugify(item)).filter(Boolean);
+            },
+
+            getTerms(query) {
+                return this.normalize(query).split(' ').filter(Boolean);
+            },
+
+            /**
+             * Every search term must appear somewhere in the (normalized) text.
+             */
+            matchesSearch(text, terms) {
+                return terms.every(term => text.includes(term));
+            },
+
+            clearHighlights(element) {
+                element.querySelectorAll('mark.search-highlight').forEach(mark => {
+                    mark.replaceWith(document.createTextNode(mark.textContent));
+                });
+                element.normalize();
+            },
+
+            highlight(element, terms) {
+                this.clearHighlights(element);
+                if (terms.length === 0) return;
+
+                const escaped = terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+                const pattern = new RegExp(`(${escaped.join('|')})`, 'gi');
+
+                // Walk text nodes so split headings keep their word spans
+                const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+                const textNodes = [];
+                while (walker.nextNode()) textNodes.push(walker.currentNode);
+
+                textNodes.forEach(node => {
+                    const parts = node.nodeValue.split(pattern);
+                    if (parts.length === 1) return;
+
+                    const fragment = document.createDocumentFragment();
+                    parts.forEach((part, index) => {
+                        if (!part) return;
+                        if (index % 2 === 1) {
+                            const mark = document.createElement('mark');
+                            mark.className = 'search-highlight';
+                            mark.textContent = part;
+                            fragment.appendChild(mark);
+                        } else {
+                            fragment.appendChild(document.createTextNode(part));
+                        }
+                    });
+                    node.replaceWith(fragment);
+                });
+            },
+
+            /**
+             * Fills the search box from the current query and calls `onSearch` with
+             * its value as the visitor types, debounced by `delay`.
+             */
+            setupSearch(input, { query, delay, onSearch }) {
+                if (!input) return;
+
+                input.value = query;
+
+                // performance-optimizer.js loads after this script but before DOMContentLoaded
+                const debounce = window.vortixiaUtils?.debounce || (callback => callback);
+                input.addEventListener('input', debounce(() => onSearch(input.value), delay));
+            },
+
+            syncChips(chips, isActive) {
+                chips.forEach(chip => {
+                    const active = isActive(chip);
+                    chip.classList.toggle('active', active);
+                    chip.setAttribute('aria-pressed', String(active));
+                });
+            },
+
+            /**
+             * Writes each param to the query string, dropping empty ones, without
+             * adding a history entry.
+             */
+            updateUrl(params) {
+                const url = new URL(window.location.href);
+
+                Object.entries(params).forEach(([name, value]) => {
+                    if (value) {
+                        url.searchParams.set(name, value);
+                    } else {
+                        url.searchParams.delete(name);
+                    }
+                });
+
+                window.history.replaceState(window.history.state, '', url);
+            },
+
+            /**
+             * Shows the "nothing matches" block after the grid when no items are
+             * visible, with an optional clear button and a follow-up link. Pass the
+             * element returned last time; it is created on first use.
+             */
+            renderEmptyState(emptyState, { grid, visibleCount, className = 'filter-empty-state', message, clear = null, link }) {
+                if (!emptyState) {
+                    emptyState = document.createElement('div');
+                    emptyState.className = className;
+                    grid.after(emptyState);
+                }
+
+                emptyState.hidden = visibleCount > 0;
+                emptyState.textContent = '';
+                if (visibleCount > 0) return emptyState;
+
+                const text = document.createElement('p');
+                text.textContent = message;
+                emptyState.appendChild(text);
+
+                if (clear) {
+                    const clearButton = document.createElement('button');
+                    clearButton.type = 'button';
+                    clearButton.className = 'filter-chip';
+                    clearButton.textContent = clear.label;
+                    clearButton.addEventListener('click', clear.onClick);
+                    emptyState.appendChild(clearButton);
+                }
+
+                const anchor = document.createElement('a');
+                anchor.href = link.href;
+                anchor.className = 'filter-empty-link';
+                anchor.textContent = link.label;
+                emptyState.appendChild(anchor);
+
+                return emptyState;
+            }
+        },
+
+        /**
+         * Filters the open-positions job cards by discipline chip, keyword search
+         * and facets (combined with AND), highlights matched terms and keeps the
+         * chips, result count, empty state and shareable URL in sync. Posting
+         * dates are shown relative to today and old listings are flagged as
+         * closing soon (expired roles never reach the grid; see
+         * jobs.parseFeed), and cards can be sorted on demand.
+         */
+        positions: {
+            queryParam: 'discipline',
+            searchParam: 'q',
+            sortParam: 'sort',
+            searchDelay: 200,
+            closingSoonDays: 21,
+            grid: null,
+            cards: [],
+            chips: [],
+            index: new Map(),
+            searchInput: null,
+            sortSelect: null,
+            results: null,
+            emptyState: null,
+            facets: [
+                { key: 'mode', label: 'Work mode', anyLabel: 'Any work mode' },
+                { key: 'schedule', label: 'Schedule', anyLabel: 'Any schedule' }
+            ],
+            facetLabels: {},
+            state: {
+                discipline: 'all',
+                query: '',
+                facets: {},
+                sort: 'newest'
+            },
+
+            init() {
+                this.grid = document.querySelector('.positions-grid');
+                this.emptyState = null;
+                this.index = new Map();
+                this.facetLabels = {};
+                if (!this.grid) return;
+
+                this.closingSoonDays = Number(this.grid.dataset.closingSoonDays) || this.closingSoonDays;
+
+                this.cards = Array.from(this.grid.querySelectorAll('.job-card'));
+                this.cards.forEach(card => this.preparePosting(card));
+                this.chips = Array.from(document.querySelectorAll('.positions-toolbar .filter-chip'));
+                this.searchInput = document.querySelector('.positions-toolbar .search-input');
+                this.sortSelect = document.querySelector('.positions-toolbar .sort-select');
+                this.results = document.querySelector('.positions-results');
+                this.cards.forEach(card => this.indexCard(card));
+
+                this.chips.forEach(chip => {
+                    chip.addEventListener('click', () => this.setDiscipline(this.getChipValue(chip)));
+                });
+
+                this.readUrl();
+                this.renderFacets();
+                this.setupSearch();
+                this.setupSort();
+                this.sortCards();
+                this.apply(true);
+            },
+
+            /**
+             * Parses an ISO date; date-only values are read in local time so the
+             * day count does not shift across time zones.
+             */
+            parseDate(value) {
+                const dateOnly = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || '').trim());
+                const date = dateOnly
+                    ? new Date(Number(dateOnly[1]), Number(dateOnly[2]) - 1, Number(dateOnly[3]))
+                    : new Date(value);
+                return Number.isNaN(date.getTime()) ? null : date;
+            },
+
+            getAgeInDays(date, now = new Date()) {
+                const startOfDay = value => new Date(value.getFullYear(), value.getMonth(), value.getDate());
+                return Math.round((startOfDay(now) - startOfDay(date)) / 86400000);
+            },
+
+            formatPostedDate(date, now = new Date(), locale = undefined) {
+                const days = Math.max(0, this.getAgeInDays(date, now));
+                const formatter = new Intl.RelativeTimeFormat(locale, { numeric: 'auto' });
+
+                if (days < 7) return `Posted ${formatter.format(-days, 'day')}`;
+                if (days < 30) return `Posted ${formatter.format(-Math.round(days / 7), 'week')}`;
+                if (days < 365) return `Posted ${formatter.format(-Math.round(days / 30), 'month')}`;
+                return `Posted ${formatter.format(-Math.round(days / 365), 'year')}`;
+            },
+
+            getPostingStatus(ageInDays) {
+                if (this.closingSoonDays && ageInDays >= this.closingSoonDays) return 'closing-soon';
+                return 'open';
+            },
+
+            /**
+             * Renders the relative posting date and closing-soon flag for a card.
+             * Cards are never removed here: the static markup is only a fallback
+             * for when the feed cannot load, and should not empty itself over time.
+             */
+            preparePosting(card) {
+                const time = card.querySelector('time.job-posted[datetime]');
+                const posted = time && this.parseDate(time.getAttribute('datetime'));
+                if (!posted) return;
+
+                const status = this.getPostingStatus(this.getAgeInDays(posted));
+
+                time.textContent = this.formatPostedDate(posted, new Date(), document.documentElement.lang || undefined);
+                time.title = posted.toLocaleDateString(undefined, { dateStyle: 'long' });
+
+                card.classList.toggle('is-closing-soon', status === 'closing-soon');
+                if (status === 'closing-soon' && !card.querySelector('.job-closing-soon')) {
+                    const badge = document.createElement('span');
+                    badge.className = 'meta-pill job-closing-soon';
+                    badge.innerHTML = '<i class="fas fa-hourglass-half"></i> Closing soon';
+                    card.querySelector('.job-meta')?.appendChild(badge);
+                }
+            },
+
+            getChipValue(chip) {
+                return VortixiaApp.filters.normalize(chip.dataset.filter || chip.textContent);
+            },
+
+            getWorkMode(text) {
+                if (/hybrid/i.test(text)) return 'Hybrid';
+                if (/on-site|onsite|in-office/i.test(text)) return 'On-site';
+                if (/remote/i.test(text)) return 'Remote';
+                return '';
+            },
+
+            indexCard(card) {
+                const textOf = selector => card.querySelector(selector)?.textContent || '';
+                const pillWithIcon = icon => card.querySelector(`.meta-pill .${icon}`)?.parentElement.textContent || '';
+                const facetValues = {
+                    mode: this.getWorkMode(`${textOf('.job-location')} ${pillWithIcon('fa-map-marker-alt')}`),
+                    schedule: pillWithIcon('fa-clock').trim()
+                };
+
+                const facets = {};
+                Object.keys(facetValues).forEach(key => {
+                    const value = VortixiaApp.filters.normalize(facetValues[key]);
+                    facets[key] = value;
+                    if (value) {
+                        this.facetLabels[key] = this.facetLabels[key] || {};
+                        this.facetLabels[key][value] = facetValues[key].trim();
+                    }
+                });
+
+                const posted = this.parseDate(card.querySelector('time.job-posted')?.getAttribute('datetime'));
+
+                this.index.set(card, {
+                    discipline: VortixiaApp.filters.normalize(textOf('.job-discipline')),
+                    text: VortixiaApp.filters.normalize(card.textContent),
+                    posted: posted ? posted.getTime() : 0,
+                    facets
+                });
+            },
+
+            matches(card) {
+                const entry = this.index.get(card);
+                const { discipline, facets, query } = this.state;
+
+                if (discipline !== 'all' && entry.discipline !== discipline) return false;
+                if (Object.keys(facets).some(key => facets[key] && entry.facets[key] !== facets[key])) return false;
+                const { filters } = VortixiaApp;
+                return filters.matchesSearch(entry.text, filters.getTerms(query));
+            },
+
+            hasActiveFilters() {
+                const { discipline, facets, query } = this.state;
+                return discipline !== 'all' || Boolean(query.trim()) || Object.values(facets).some(Boolean);
+            },
+
+            setDiscipline(discipline) {
+                this.state.discipline = discipline;
+                this.apply();
+                this.updateUrl();
+            },
+
+            setupSearch() {
+                VortixiaApp.filters.setupSearch(this.searchInput, {
+                    query: this.state.query,
+                    delay: this.searchDelay,
+                    onSearch: query => {
+                        this.state.query = query;
+                        this.apply();
+                        this.updateUrl();
+                    }
+                });
+            },
+
+            setupSort() {
+                if (!this.sortSelect) return;
+
+                this.sortSelect.value = this.state.sort;
+                this.sortSelect.addEventListener('change', () => {
+                    this.state.sort = this.sortSelect.value;
+                    this.sortCards();
+                    this.updateUrl();
+                });
+            },
+
+            compareCards(a, b) {
+                const first = this.index.get(a);
+                const second = this.index.get(b);
+                const newestFirst = second.posted - first.posted;
+
+                if (this.state.sort === 'discipline') {
+                    return first.discipline.localeCompare(second.discipline) || newestFirst;
+                }
+                return newestFirst;
+            },
+
+            sortCards() {
+                this.cards.sort((a, b) => this.compareCards(a, b));
+                this.grid.append(...this.cards);
+            },
+
+            renderFacets() {
+                const container = document.querySelector('.positions-toolbar .toolbar-facets');
+                if (!container) return;
+
+                container.textContent = '';
+
+                this.facets.forEach(facet => {
+                    const labels = this.facetLabels[facet.key] || {};
+                    const values = Object.keys(labels).sort();
+                    if (values.length === 0) return;
+
+                    const id = `positions-facet-${facet.key}`;
+                    const label = document.createElement('label');
+                    label.className = 'visually-hidden';
+                    label.htmlFor = id;
+                    label.textContent = facet.label;
+
+                    const select = document.createElement('select');
+                    select.id = id;
+                    select.className = 'facet-select';
+                    select.add(new Option(facet.anyLabel, ''));
+                    values.forEach(value => select.add(new Option(labels[value], value)));
+                    select.value = this.state.facets[facet.key] || '';
+
+                    select.addEventListener('change', () => {
+                        this.state.facets[facet.key] = select.value;
+                        this.apply();
+                        this.updateUrl();
+                    });
+
+                    container.append(label, select);
+                });
+            },
+
+            reset() {
+                this.state.discipline = 'all';
+                this.state.query = '';
+                this.state.facets = {};
+                if (this.searchInput) this.searchInput.value = '';
+                document.querySelectorAll('.positions-toolbar .facet-select').forEach(select => {
+                    select.value = '';
+                });
+                this.apply();
+                this.updateUrl();
+            },
+
+            apply(isInitial = false) {
+                const { filters } = VortixiaApp;
+                let visibleCount = 0;
+                const terms = filters.getTerms(this.state.query);
+
+                this.cards.forEach(card => {
+                    const isMatch = this.matches(card);
+                    if (isMatch) visibleCount++;
+                    VortixiaApp.ui.setFilteredVisibility(card, isMatch, !isInitial);
+                    card.querySelectorAll('.job-title, .job-description').forEach(element => filters.highlight(element, terms));
+                });
+
+                filters.syncChips(this.chips, chip => this.getChipValue(chip) === this.state.discipline);
+
+                this.renderEmptyState(visibleCount);
+                if (!isInitial) this.announce(visibleCount);
+            },
+
+            announce(visibleCount) {
+                if (!this.results) return;
+                this.results.textContent = visibleCount === 0
+                    ? 'No open roles match your filters.'
+                    : `${visibleCount} open ${visibleCount === 1 ? 'role' : 'roles'} found.`;
+            },
+
+            renderEmptyState(visibleCount) {
+                const isDisciplineOnly = !this.state.query.trim() && !Object.values(this.state.facets).some(Boolean);
+                const { discipline } = this.state;
+                const activeChip = this.chips.find(chip => this.getChipValue(chip) === discipline);
+                // The "All roles" chip names no discipline
+                const label = discipline === 'all' ? '' : `${activeChip ? activeChip.textContent.trim() : discipline} `;
+
+                this.emptyState = VortixiaApp.filters.renderEmptyState(this.emptyState, {
+                    grid: this.grid,
+                    visibleCount,
+                    className: 'container filter-empty-state',
+                    message: isDisciplineOnly
+                        ? `There are no open ${label}roles right now.`
+                        : 'No open roles match your search and filters.',
+                    clear: this.hasActiveFilters() ? { label: 'Clear all filters', onClick: () => this.reset() } : null,
+                    link: { href: 'submit-resume.html', label: 'Join our talent network' }
+                });
+            },
+
+            readUrl() {
+                const params = new URLSearchParams(window.location.search);
+                const requested = VortixiaApp.filters.normalize(params.get(this.queryParam));
+                const isKnown = this.chips.some(chip => this.getChipValue(chip) === requested);
+
+                this.state.discipline = isKnown ? requested : 'all';
+                this.state.query = params.get(this.searchParam) || '';
+                this.state.sort = params.get(this.sortParam) === 'discipline' ? 'discipline' : 'newest';
+                this.state.facets = {};
+
+                this.facets.forEach(({ key }) => {
+                    const value = VortixiaApp.filters.normalize(params.get(key));
+                    if (value && this.facetLabels[key]?.[value]) this.state.facets[key] = value;
+                });
+            },
+
+            updateUrl() {
+                const params = {
+                    [this.queryParam]: this.state.discipline === 'all' ? '' : this.state.discipline,
+                    [this.searchParam]: this.state.query.trim()
+                };
+                this.facets.forEach(({ key }) => {
+                    params[key] = this.state.facets[key];
+                });
+                params[this.sortParam] = this.state.sort === 'newest' ? '' : this.state.sort;
+
+                VortixiaApp.filters.updateUrl(params);
+            }
+        },
+
+        /**
+         * Filter bar for the projects page. Chips are generated from each card's
+         * industry and capability tags (`.project-meta [data-facet]`) and its
+         * `.project-category`; choices within a group widen the results (OR) and
+         * groups narrow them (AND). Cards can be re-sorted, the remaining cards
+         * glide into place, and the state is kept in the URL so links such as
+         * `projects.html?industry=healthcare` open pre-filtered.
+         */
+        portfolio: {
+            groups: [
+                { key: 'industry', label: 'Industry', selector: '.project-meta [data-facet="industry"]' },
+                { key: 'capability', label: 'Capability', selector: '.project-meta [data-facet="capability"]' },
+                { key: 'type', label: 'Engagement', selector: '.project-category' }
+            ],
+            sortParam: 'sort',
+            sorts: ['featured', 'title', 'industry'],
+            reflowDuration: 350,
+            grid: null,
+            toolbar: null,
+            cards: [],
+            index: new Map(),
+            labels: {},
+            sortSelect: null,
+            results: null,
+            emptyState: null,
+            state: {
+                filters: {},
+                sort: 'featured'
+            },
+
+            init() {
+                this.grid = document.querySelector('.projects-grid');
+                this.toolbar = document.querySelector('.portfolio-toolbar');
+                this.emptyState = null;
+                this.index = new Map();
+                this.labels = {};
+                if (!this.grid || !this.toolbar) return;
+
+                this.cards = Array.from(this.grid.querySelectorAll('.project-card'));
+                this.cards.forEach((card, order) => this.indexCard(card, order));
+                this.sortSelect = this.toolbar.querySelector('.sort-select');
+                this.results = this.toolbar.querySelector('.portfolio-results');
+
+                this.readUrl();
+                this.renderFilters();
+                this.setupSort();
+                this.sortCards();
+                this.apply(true);
+                this.toolbar.hidden = false;
+            },
+
+            indexCard(card, order) {
+                const values = {};
+
+                this.groups.forEach(({ key, selector }) => {
+                    values[key] = Array.from(card.querySelectorAll(selector), element => {
+                        const label = element.textContent.replace(/\s+/g, ' ').trim();
+                        const value = VortixiaApp.filters.slugify(label);
+                        if (value) {
+                            this.labels[key] = this.labels[key] || {};
+                            this.labels[key][value] = label;
+                        }
+                        return value;
+                    }).filter(Boolean);
+                });
+
+                this.index.set(card, {
+                    order,
+                    title: card.querySelector('h3')?.textContent.trim() || '',
+                    values
+                });
+            },
+
+            /**
+             * A card matches when, for every group with a selection, it carries at
+             * least one of the selected values.
+             */
+            matches(entry, filters) {
+                return Object.keys(filters).every(key => {
+                    const selected = filters[key];
+                    return !selected?.length || selected.some(value => entry.values[key]?.includes(value));
+                });
+            },
+
+            hasActiveFilters() {
+                return Object.values(this.state.filters).some(selected => selected.length > 0);
+            },
+
+            toggle(key, value) {
+                const selected = this.state.filters[key] || [];
+                this.state.filters[key] = selected.includes(value)
+                    ? selected.filter(item => item !== value)
+                    : [...selected, value];
+                this.apply();
+                this.updateUrl();
+            },
+
+            clearGroup(key) {
+                this.state.filters[key] = [];
+                this.apply();
+                this.updateUrl();
+            },
+
+            reset() {
+                this.state.filters = {};
+                this.apply();
+                this.updateUrl();
+            },
+
+            renderFilters() {
+                const container = this.toolbar.querySelector('.portfolio-filters');
+                if (!container) return;
+
+                container.textContent = '';
+
+                this.groups.forEach(group => {
+                    const labels = this.labels[group.key] || {};
+                    const values = Object.keys(labels).sort((a, b) => labels[a].localeCompare(labels[b]));
+                    if (values.length < 2) return;
+
+                    const wrapper = document.createElement('div');
+                    wrapper.className = 'portfolio-filter-group';
+
+                    const heading = document.createElement('span');
+                    heading.className = 'portfolio-filter-label';
+                    heading.id = `portfolio-filter-${group.key}`;
+                    heading.textContent = group.label;
+
+                    const chips = document.createElement('div');
+                    chips.className = 'toolbar-filters';
+                    chips.setAttribute('role', 'group');
+                    chips.setAttribute('aria-labelledby', heading.id);
+
+                    const createChip = (label, value) => {
+                        const chip = document.createElement('button');
+                        chip.type = 'button';
+                        chip.className = 'filter-chip';
+                        chip.dataset.group = group.key;
+                        chip.dataset.value = value;
+                        chip.textContent = label;
+                        chip.addEventListener('click', () => {
+                            if (value) {
+                                this.toggle(group.key, value);
+                            } else {
+                                this.clearGroup(group.key);
+                            }
+                        });
+                        return chip;
+                    };
+
+                    chips.appendChild(createChip('All', ''));
+                    values.forEach(value => chips.appendChild(createChip(labels[value], value)));
+
+                    wrapper.append(heading, chips);
+                    container.appendChild(wrapper);
+                });
+            },
+
+            setupSort() {
+                if (!this.sortSelect) return;
+
+                this.sortSelect.value = this.state.sort;
+                this.sortSelect.addEventListener('change', () => {
+                    this.state.sort = this.sortSelect.value;
+                    this.animateReflow(() => this.sortCards());
+                    this.updateUrl();
+                });
+            },
+
+            compareCards(first, second, sort) {
+                if (sort === 'title') {
+                    return first.title.localeCompare(second.title) || first.order - second.order;
+                }
+                if (sort === 'industry') {
+                    const industry = entry => entry.values.industry?.[0] || '';
+                    return industry(first).localeCompare(industry(second)) || first.order - second.order;
+                }
+                return first.order - second.order;
+            },
+
+            sortCards() {
+                this.cards.sort((a, b) => this.compareCards(this.index.get(a), this.index.get(b), this.state.sort));
+                this.grid.append(...this.cards);
+                VortixiaApp.equalHeights.schedule(this.grid);
+            },
+
+            /**
+             * Runs a layout change and slides the cards that stay visible from their
+             * old positions to the new ones (FLIP); cards that appear fade in.
+             */
+            animateReflow(update) {
+                const canAnimate = !VortixiaApp.motion.isReduced()
+                    && this.cards.every(card => typeof card.animate === 'function');
+                if (!canAnimate) {
+                    update();
+                    return;
+                }
+
+                const before = new Map();
+                this.cards.forEach(card => {
+                    if (!card.hidden) before.set(card, card.getBoundingClientRect());
+                });
+
+                update();
+
+                const options = { duration: this.reflowDuration, easing: 'cubic-bezier(0.4, 0, 0.2, 1)' };
+                this.cards.forEach(card => {
+                    if (card.hidden) return;
+
+                    const first = before.get(card);
+                    if (!first) {
+                        card.animate([{ opacity: 0, transform: 'scale(0.96)' }, { opacity: 1, transform: 'none' }], options);
+                        return;
+                    }
+
+                    const last = card.getBoundingClientRect();
+                    const dx = first.left - last.left;
+                    const dy = first.top - last.top;
+                    if (dx || dy) {
+                        card.animate([{ transform: `translate(${dx}px, ${dy}px)` }, { transform: 'none' }], options);
+                    }
+                });
+            },
+
+            apply(isInitial = false) {
+                let visibleCount = 0;
+
+                const update = () => {
+                    this.cards.forEach(card => {
+                        const isMatch = this.matches(this.index.get(card), this.state.filters);
+                        if (isMatch) visibleCount++;
+                        // The reflow animation replaces the fade, so cards leave the layout at once
+                        VortixiaApp.ui.setFilteredVisibility(card, isMatch, false);
+                    });
+                    VortixiaApp.equalHeights.schedule(this.grid);
+                };
+
+                if (isInitial) {
+                    update();
+                } else {
+                    this.animateReflow(update);
+                }
+
+                VortixiaApp.filters.syncChips(this.toolbar.querySelectorAll('.filter-chip'), chip => {
+                    const selected = this.state.filters[chip.dataset.group] || [];
+                    return chip.dataset.value ? selected.includes(chip.dataset.value) : selected.length === 0;
+                });
+
+                this.renderEmptyState(visibleCount);
+                if (!isInitial) this.announce(visibleCount);
+            },
+
+            announce(visibleCount) {
+                if (!this.results) return;
+                this.results.textContent = visibleCount === 0
+                    ? 'No projects match your filters.'
+                    : `${visibleCount} ${visibleCount === 1 ? 'project' : 'projects'} shown.`;
+            },
+
+            renderEmptyState(visibleCount) {
+                this.emptyState = VortixiaApp.filters.renderEmptyState(this.emptyState, {
+                    grid: this.grid,
+                    visibleCount,
+                    message: 'No projects match all of the selected filters yet.',
+                    clear: { label: 'Clear all filters', onClick: () => this.reset() },
+                    link: { href: 'contact.html', label: 'Tell us about your project' }
+                });
+            },
+
+            readUrl() {
+                const params = new URLSearchParams(window.location.search);
+
+                this.state.filters = {};
+                this.groups.forEach(({ key }) => {
+                    const known = this.labels[key] || {};
+                    this.state.filters[key] = VortixiaApp.filters.parseList(params.get(key)).filter(value => known[value]);
+                });
+
+                const sort = params.get(this.sortParam);
+                this.state.sort = this.sorts.includes(sort) ? sort : 'featured';
+            },
+
+            updateUrl() {
+                const params = {};
+                this.groups.forEach(({ key }) => {
+                    params[key] = (this.state.filters[key] || []).join(',');
+                });
+                params[this.sortParam] = this.state.sort === 'featured' ? '' : this.state.sort;
+
+                VortixiaApp.filters.updateUrl(params);
+            }
+        },
+
+        /**
+         * Team directory on the team page: expertise chips built from the
+         * `.member-tag` values (any selected skill matches), a search across
+         * name, role and skills, and a "View profile" disclosure per member that
+         * widens the card to a full row to show the longer bio and links.
+         */
+        teamDirectory: {
+            tagParam: 'expertise',
+            searchParam: 'q',
+            searchDelay: 200,
+            grid: null,
+            toolbar: null,
+            members: [],
+            index: new Map(),
+            tagLabels: {},
+            searchInput: null,
+            results: null,
+            emptyState: null,
+            state: {
+                tags: [],
+                query: ''
+            },
+
+            init() {
+                this.grid = document.querySelector('.team-grid');
+                this.toolbar = document.querySelector('.team-toolbar');
+                this.emptyState = null;
+                this.index = new Map();
+                this.tagLabels = {};
+                if (!this.grid) return;
+
+                this.members = Array.from(this.grid.querySelectorAll('.team-member'));
+                this.members.forEach((member, index) => {
+                    this.indexMember(member);
+                    this.setupProfile(member, index);
+                });
+
+                if (!this.toolbar) return;
+
+                this.searchInput = this.toolbar.querySelector('.search-input');
+                this.results = this.toolbar.querySelector('.team-results');
+
+                this.readUrl();
+                this.renderTags();
+                this.setupSearch();
+                this.apply(true);
+                this.toolbar.hidden = false;
+            },
+
+            indexMember(member) {
+                const textOf = selector => member.querySelector(selector)?.textContent.replace(/\s+/g, ' ').trim() || '';
+                const labels = Array.from(member.querySelectorAll('.member-tag'), tag => tag.textContent.replace(/\s+/g, ' ').trim());
+                const tags = labels.map(label => {
+                    const value = VortixiaApp.filters.slugify(label);
+                    if (value) this.tagLabels[value] = label;
+                    return value;
+                }).filter(Boolean);
+
+                this.index.set(member, {
+                    tags,
+                    text: VortixiaApp.filters.normalize(`${textOf('h3')} ${textOf('.member-role')} ${labels.join(' ')}`)
+                });
+            },
+
+            /**
+             * A member matches when they carry any selected skill and every search
+             * term appears in their name, role or skills.
+             */
+            matches(entry, { tags, query }) {
+                if (tags.length > 0 && !tags.some(tag => entry.tags.includes(tag))) return false;
+                const { filters } = VortixiaApp;
+                return filters.matchesSearch(entry.text, filters.getTerms(query));
+            },
+
+            hasActiveFilters() {
+                return this.state.tags.length > 0 || Boolean(this.state.query.trim());
+            },
+
+            setupProfile(member, index) {
+                const panel = member.querySelector('.member-profile');
+                if (!panel || member.querySelector('.member-profile-toggle')) return;
+
+                panel.id = panel.id || `member-profile-${index + 1}`;
+                const name = member.querySelector('h3')?.textContent.trim() || 'team member';
+
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'member-profile-toggle';
+                button.setAttribute('aria-controls', panel.id);
+                button.setAttribute('aria-expanded', 'false');
+                button.innerHTML = `<span>View profile</span><span class="visually-hidden"> for ${VortixiaApp.jobs.escapeHtml(name)}</span> <i class="fas fa-chevron-down" aria-hidden="true"></i>`;
+                panel.before(button);
+                panel.hidden = true;
+
+                button.addEventListener('click', () => this.setExpanded(member, !member.classList.contains('is-expanded')));
+                member.addEventListener('keydown', (event) => {
+                    if (event.key !== 'Escape' || !member.classList.contains('is-expanded')) return;
+                    this.setExpanded(member, false);
+                    button.focus();
+                });
+            },
+
+            /**
+             * Opens one profile at a time; the open card spans the whole row so the
+             * rest of the grid keeps its equal heights.
+             */
+            setExpanded(member, isExpanded) {
+                this.members.forEach(other => {
+                    const expand = other === member && isExpanded;
+                    const button = other.querySelector('.member-profile-toggle');
+                    const panel = other.querySelector('.member-profile');
+                    if (!button || !panel) return;
+
+                    other.classList.toggle('is-expanded', expand);
+                    button.setAttribute('aria-expanded', String(expand));
+                    button.querySelector('span').textContent = expand ? 'Hide profile' : 'View profile';
+                    panel.hidden = !expand;
+                });
+
+                VortixiaApp.equalHeights.schedule(this.grid);
+            },
+
+            toggleTag(value) {
+                this.state.tags = this.state.tags.includes(value)
+                    ? this.state.tags.filter(tag => tag !== value)
+                    : [...this.state.tags, value];
+                this.apply();
+                this.updateUrl();
+            },
+
+            renderTags() {
+                const container = this.toolbar.querySelector('.toolbar-filters');
+                if (!container) return;
+
+                container.textContent = '';
+                const values = Object.keys(this.tagLabels).sort((a, b) => this.tagLabels[a].localeCompare(this.tagLabels[b]));
+
+                values.forEach(value => {
+                    const chip = document.createElement('button');
+                    chip.type = 'button';
+                    chip.className = 'filter-chip';
+                    chip.dataset.value = value;
+                    chip.textContent = this.tagLabels[value];
+                    chip.addEventListener('click', () => this.toggleTag(value));
+                    container.appendChild(chip);
+                });
+            },
+
+            setupSearch() {
+                VortixiaApp.filters.setupSearch(this.searchInput, {
+                    query: this.state.query,
+                    delay: this.searchDelay,
+                    onSearch: query => {
+                        this.state.query = query;
+                        this.apply();
+                        this.updateUrl();
+                    }
+                });
+            },
+
+            reset() {
+                this.state.tags = [];
+                this.state.query = '';
+                if (this.searchInput) this.searchInput.value = '';
+                this.apply();
+                this.updateUrl();
+            },
+
+            apply(isInitial = false) {
+                const { filters } = VortixiaApp;
+                let visibleCount = 0;
+                const terms = filters.getTerms(this.state.query);
+
+                this.members.forEach(member => {
+                    const isMatch = this.matches(this.index.get(member), this.state);
+                    if (isMatch) visibleCount++;
+                    if (!isMatch && member.classList.contains('is-expanded')) this.setExpanded(member, false);
+                    VortixiaApp.ui.setFilteredVisibility(member, isMatch, !isInitial);
+                    member.querySelectorAll('h3, .member-role').forEach(element => filters.highlight(element, terms));
+                });
+
+                filters.syncChips(this.toolbar.querySelectorAll('.filter-chip'), chip => this.state.tags.includes(chip.dataset.value));
+
+                // Hidden cards leave the layout after their fade-out, so re-measure then too
+                VortixiaApp.equalHeights.schedule(this.grid);
+                if (!isInitial) {
+                    setTimeout(() => VortixiaApp.equalHeights.schedule(this.grid), VortixiaApp.ui.filterTransitionMs);
+                }
+
+                this.renderEmptyState(visibleCount);
+                if (!isInitial) this.announce(visibleCount);
+            },
+
+            announce(visibleCount) {
+                if (!this.results) return;
+                this.results.textContent = visibleCount === 0
+                    ? 'No team members match your search.'
+                    : `${visibleCount} team ${visibleCount === 1 ? 'member' : 'members'} found.`;
+            },
+
+            renderEmptyState(visibleCount) {
+                this.emptyState = VortixiaApp.filters.renderEmptyState(this.emptyState, {
+                    grid: this.grid,
+                    visibleCount,
+                    message: 'Nobody on the team matches that search yet.',
+                    clear: { label: 'Clear search and filters', onClick: () => this.reset() },
+                    link: { href: 'contact.html', label: 'Ask us who can help' }
+                });
+            },
+
+            readUrl() {
+                const params = new URLSearchParams(window.location.search);
+                this.state.tags = VortixiaApp.filters.parseList(params.get(this.tagParam)).filter(tag => this.tagLabels[tag]);
+                this.state.query = params.get(this.searchParam) || '';
+            },
+
+            updateUrl() {
+                VortixiaApp.filters.updateUrl({
+                    [this.tagParam]: this.state.tags.join(','),
+                    [this.searchParam]: this.state.query.trim()
+                });
+            }
+        },
+
+        /**
+         * Case-study detail view for the project cards. Each card's "View project"
+         * link points at `#project/<id>`, which opens an accessible dialog with the
+         * challenge, solution, results and gallery from `assets/data/projects.json`
+         * (falling back to what the card itself shows). Opening pushes a history
+         * entry so Back closes it, and deep links open it on load.
+         */
+        caseStudies: {
+            dataUrl: 'assets/data/projects.json',
+            hashPrefix: '#project/',
+            request: null,
+            projects: [],
+            currentIndex: -1,
+            modal: null,
+            returnFocus: null,
+            pageTitle: '',
+            bound: false,
+
+            async init() {
+                // The router may have swapped the page out from under an open study
+                this.teardown();
+
+                const cards = Array.from(document.querySelectorAll('.project-card[data-project]'));
+                this.projects = cards.map(card => this.readCard(card));
+                if (this.projects.length === 0) return;
+
+                if (!this.bound) {
+                    this.bindEvents();
+                    this.bound = true;
+                }
+
+                try {
+                    this.mergeDetails(this.parseDetails(await this.load()));
+                } catch (error) {
+                    // The cards still provide enough for a useful summary
+                }
+
+                this.openFromHash();
+            },
+
+            load() {
+                if (window.location.protocol === 'file:') {
+                    return Promise.reject(new Error('Case studies cannot be fetched from file: URLs'));
+                }
+
+                this.request = this.request || fetch(this.dataUrl, { headers: { Accept: 'application/json' } })
+                    .then(response => {
+                        if (!response.ok) {
+                            throw new Error(`Case studies failed to load with status ${response.status}`);
+                        }
+                        return response.json();
+                    });
+                this.request.catch(() => {
+                    this.request = null;
+                });
+                return this.request;
+            },
+
+            /**
+             * Indexes the case-study feed by project id, skipping incomplete entries.
+             */
+            parseDetails(data) {
+                const projects = Array.isArray(data) ? data : data?.projects;
+                if (!Array.isArray(projects)) {
+                    throw new Error('Case studies feed must contain a "projects" array');
+                }
+
+                return new Map(projects.filter(project => project && project.id).map(project => [project.id, project]));
+            },
+
+            mergeDetails(details) {
+                this.projects = this.projects.map(project => {
+                    const detail = details.get(project.id);
+                    if (!detail) return project;
+
+                    return {
+                        ...project,
+                        ...detail,
+                        gallery: detail.gallery?.length ? detail.gallery : project.gallery
+                    };
+                });
+            },
+
+            readCard(card) {
+                const text = selector => card.querySelector(selector)?.textContent.trim() || '';
+                const image = card.querySelector('.project-image img');
+
+                return {
+                    id: card.dataset.project,
+                    title: text('h3'),
+                    category: text('.project-category'),
+                    highlight: text('.project-highlight'),
+                    summary: text('.project-content p'),
+                    tags: Array.from(card.querySelectorAll('.project-meta .meta-item'), tag => tag.textContent.trim()),
+                    gallery: image ? [{ src: image.getAttribute('src'), alt: image.getAttribute('alt') || '' }] : []
+                };
+            },
+
+            /**
+             * Returns the project id in a `#project/<id>` hash, or null.
+             */
+            getProjectId(hash) {
+                if (!hash || !hash.startsWith(this.hashPrefix)) return null;
+
+                try {
+                    return decodeURIComponent(hash.slice(this.hashPrefix.length)) || null;
+                } catch (error) {
+                    return null;
+                }
+            },
+
+            getHash(project) {
+                return `${this.hashPrefix}${encodeURIComponent(project.id)}`;
+            },
+
+            bindEvents() {
+                document.addEventListener('click', (event) => {
+                    const link = event.target.closest?.(`a[href^="${this.hashPrefix}"]`);
+                    const index = this.findIndex(this.getProjectId(link?.getAttribute('href')));
+                    if (index === -1) return;
+
+                    event.preventDefault();
+                    if (this.isOpen()) {
+                        this.show(index, { history: 'replace' });
+                    } else {
+                        this.open(index, { history: 'push', trigger: link });
+                    }
+                });
+
+                window.addEventListener('popstate', () => this.openFromHash());
+
+                document.addEventListener('keydown', (event) => {
+                    if (!this.isOpen()) return;
+
+                    if (event.key === 'Escape') {
+                        event.preventDefault();
+                        this.requestClose();
+                    } else if (event.key === 'Tab') {
+                        const focusable = Array.from(this.modal.querySelectorAll(VortixiaApp.mobileMenu.focusableSelector));
+                        const target = VortixiaApp.mobileMenu.getTrapTarget(focusable, document.activeElement, event.shiftKey);
+                        if (target) {
+                            event.preventDefault();
+                            target.focus();
+                        }
+                    }
+                });
+            },
+
+            findIndex(id) {
+                return id ? this.projects.findIndex(project => project.id === id) : -1;
+            },
+
+            isOpen() {
+                return Boolean(this.modal && !this.modal.hidden);
+            },
+
+            /**
+             * Syncs the dialog with the current URL: opens the study it names, or
+             * closes the dialog when Back has left the `#project/` entry.
+             */
+            openFromHash() {
+                const index = this.findIndex(this.getProjectId(window.location.hash));
+
+                if (index === -1) {
+                    this.close();
+                } else if (this.isOpen()) {
+                    this.show(index);
+                } else {
+                    const trigger = document.querySelector(`.project-card[data-project="${CSS.escape(this.projects[index].id)}"] .project-cta`);
+                    this.open(index, { trigger });
+                }
+            },
+
+            open(index, { history = null, trigger = null } = {}) {
+                this.returnFocus = trigger || document.activeElement;
+                this.ensureModal();
+                this.show(index, { history });
+
+                this.modal.hidden = false;
+                document.body.classList.add('case-study-open');
+                this.modal.querySelector('.case-study-dialog').focus();
+            },
+
+            show(index, { history = null } = {}) {
+                this.currentIndex = VortixiaApp.animations.wrapIndex(index, this.projects.length);
+                const project = this.projects[this.currentIndex];
+                const hash = this.getHash(project);
+
+                if (history === 'push') {
+                    // Remember where the page was so Back returns to the same spot
+                    window.history.replaceState({ ...window.history.state, scrollY: window.scrollY }, '');
+                    window.history.pushState({ caseStudy: project.id, scrollY: window.scrollY }, '', hash);
+                } else if (history === 'replace') {
+                    // Only entries pushed here are marked, so closing a deep link never leaves the site
+                    const state = window.history.state;
+                    window.history.replaceState(state?.caseStudy ? { ...state, caseStudy: project.id } : state, '', hash);
+                }
+
+                const body = this.modal.querySelector('.case-study-body');
+                body.innerHTML = this.renderStudy(project, this.getNeighbours(this.currentIndex));
+                body.scrollTop = 0;
+                document.title = `${project.title} - Case Study - Vortixia`;
+            },
+
+            /**
+             * Previous, next and "n of count" follow the cards the portfolio filters
+             * currently show, in their current order. A deep-linked study keeps its
+             * place even when the filters hide its card.
+             */
+            getNeighbours(index) {
+                const currentId = this.projects[index]?.id;
+                const order = Array.from(document.querySelectorAll('.project-card[data-project]'))
+                    .filter(card => card.dataset.project === currentId || !(card.hidden || card.classList.contains('is-filtered-out')))
+                    .map(card => this.findIndex(card.dataset.project))
+                    .filter(projectIndex => projectIndex !== -1);
+                const count = order.length;
+                const position = order.indexOf(index);
+                if (count < 2 || position === -1) return { previous: null, next: null, position: 1, count: 1 };
+
+                const { wrapIndex } = VortixiaApp.animations;
+                return {
+                    previous: this.projects[order[wrapIndex(position - 1, count)]],
+                    next: this.projects[order[wrapIndex(position + 1, count)]],
+                    position: position + 1,
+                    count
+                };
+            },
+
+            /**
+             * Closes from the dialog's own controls. When the study was opened here,
+             * going back pops its history entry; deep links just drop the hash.
+             */
+            requestClose() {
+                if (window.history.state?.caseStudy) {
+                    window.history.back();
+                    return;
+                }
+
+                const url = `${window.location.pathname}${window.location.search}`;
+                window.history.replaceState(window.history.state, '', url);
+                this.close();
+            },
+
+            close({ restoreFocus = true } = {}) {
+                if (!this.isOpen()) return;
+
+                this.modal.hidden = true;
+                this.currentIndex = -1;
+                document.body.classList.remove('case-study-open');
+                document.title = this.pageTitle;
+
+                if (restoreFocus && this.returnFocus?.isConnected) {
+                    this.returnFocus.focus({ preventScroll: true });
+                }
+                this.returnFocus = null;
+            },
+
+            teardown() {
+                this.modal?.remove();
+                this.modal = null;
+                this.currentIndex = -1;
+                this.returnFocus = null;
+                document.body.classList.remove('case-study-open');
+            },
+
+            ensureModal() {
+                this.pageTitle = document.title;
+                if (this.modal?.isConnected) return;
+
+                this.modal = document.createElement('div');
+                this.modal.className = 'case-study-modal';
+                this.modal.hidden = true;
+                this.modal.innerHTML = `
+                    <div class="case-study-backdrop" data-case-study-close></div>
+                    <div class="case-study-dialog" role="dialog" aria-modal="true" aria-labelledby="case-study-title" tabindex="-1">
+                        <button type="button" class="case-study-close" data-case-study-close aria-label="Close case study">
+                            <i class="fas fa-times" aria-hidden="true"></i>
+                        </button>
+                        <div class="case-study-body"></div>
+                    </div>`;
+
+                this.modal.addEventListener('click', (event) => {
+                    if (event.target.closest('[data-case-study-close]')) this.requestClose();
+                });
+
+                document.body.appendChild(this.modal);
+            },
+
+            renderStudy(project, { previous, next, position, count }) {
+                const escape = value => VortixiaApp.jobs.escapeHtml(value);
+                const tags = (project.tags || []).map(tag => `<li class="meta-item">${escape(tag)}</li>`).join('');
+                const facts = [['Client', project.client], ['Duration', project.duration]]
+                    .filter(([, value]) => value)
+                    .map(([label, value]) => `<div><dt>${label}</dt><dd>${escape(value)}</dd></div>`)
+                    .join('');
+                const gallery = (project.gallery || []).map(image => `
+                    <figure class="case-study-figure">
+                        <img src="${escape(image.src)}" alt="${escape(image.alt)}" loading="lazy">
+                        ${image.caption ? `<figcaption>${escape(image.caption)}</figcaption>` : ''}
+                    </figure>`
+                ).join('');
+                const results = (project.results || []).map(result => `<li>${escape(result)}</li>`).join('');
+                const section = (title, content) => content ? `
+                    <section class="case-study-section">
+                        <h3>${title}</h3>
+                        ${content}
+                    </section>` : '';
+                const pageLink = (item, className, label, icon) => item ? `
+                    <a href="${escape(this.getHash(item))}" class="${className}">
+                        ${className === 'case-study-prev' ? icon : ''}
+                        <span><small>${label}</small>${escape(item.title)}</span>
+                        ${className === 'case-study-next' ? icon : ''}
+                    </a>` : '';
+
+                return `
+                    <header class="case-study-header">
+                        ${project.category ? `<span class="project-category">${escape(project.category)}</span>` : ''}
+                        <h2 id="case-study-title">${escape(project.title)}</h2>
+                        ${project.summary ? `<p class="case-study-summary">${escape(project.summary)}</p>` : ''}
+                        ${tags ? `<ul class="case-study-tags" aria-label="Project tags">${tags}</ul>` : ''}
+                        ${facts ? `<dl class="case-study-facts">${facts}</dl>` : ''}
+                    </header>
+                    ${gallery ? `<div class="case-study-gallery">${gallery}</div>` : ''}
+                    ${section('The challenge', project.challenge ? `<p>${escape(project.challenge)}</p>` : '')}
+                    ${section('Our solution', project.solution ? `<p>${escape(project.solution)}</p>` : '')}
+                    ${section('Results', (project.highlight || results) ? `
+                        ${project.highlight ? `<p class="project-highlight">${escape(project.highlight)}</p>` : ''}
+                        ${results ? `<ul class="case-study-results">${results}</ul>` : ''}` : '')}
+                    ${count > 1 ? `
+                    <nav class="case-study-pagination" aria-label="More case studies">
+                        ${pageLink(previous, 'case-study-prev', 'Previous', '<i class="fas fa-arrow-left" aria-hidden="true"></i>')}
+                        <span class="case-study-position">${position} of ${count}</span>
+                        ${pageLink(next, 'case-study-next', 'Next', '<i class="fas fa-arrow-right" aria-hidden="true"></i>')}
+                    </nav>` : ''}`;
+            }
+        },
+
+        /**
+         * Progressive-enhancement navigation. Same-origin page links are fetched
+         * and swapped into `main.page-content` (inside a View Transition where the
+         * browser supports it) rather than reloading the whole page, and pages are
+         * prefetched on hover or touch. Anything unexpected falls back to a normal
+         * page load, as do `file:` URLs.
+         */
+        router: {
+            cache: new Map(),
+            currentUrl: null,
+            navigationId: 0,
+            // Set at runtime rather than by the page, so they survive a swap
+            persistentBodyClasses: ['dark-theme', 'light-theme', 'reduced-motion', 'page-loaded', 'keyboard-focus'],
+
+            init() {
+                if (!this.isSupported()) return;
+
+                this.currentUrl = new URL(window.location.href);
+
+                document.addEventListener('click', event => this.handleClick(event));
+                document.addEventListener('mouseover', event => this.handlePrefetch(event), { passive: true });
+                document.addEventListener('touchstart', event => this.handlePrefetch(event), { passive: true });
+                window.addEventListener('popstate', event => this.handlePopState(event));
+            },
+
+            isSupported() {
+                return window.location.protocol !== 'file:'
+                    && typeof window.fetch === 'function'
+                    && typeof window.DOMParser === 'function'
+                    && typeof history.pushState === 'function';
+            },
+
+            /**
+             * The URL a link should be routed to, or null when the browser should
+             * handle it: new tabs, downloads, other origins, non-page files and
+             * anchors within the current page.
+             */
+            getRoutableUrl(href, currentHref, { target = null, download = false } = {}) {
+                if (!href || href.startsWith('#') || /^(mailto|tel|javascript):/i.test(href)) return null;
+                if ((target && target !== '_self') || download) return null;
+
+                const url = new URL(href, currentHref);
+                const current = new URL(currentHref);
+
+                if (url.origin !== current.origin) return null;
+                if (/\.(?!html?$)[a-z0-9]+$/i.test(url.pathname)) return null;
+                if (url.pathname === current.pathname && url.search === current.search) return null;
+
+                return url;
+            },
+
+            getCacheKey(url) {
+                return `${url.origin}${url.pathname}${url.search}`;
+            },
+
+            getLinkUrl(event) {
+                const link = event.target.closest?.('a[href]');
+                if (!link || link.hasAttribute('data-no-router')) return null;
+
+                return this.getRoutableUrl(link.getAttribute('href'), window.location.href, {
+                    target: link.getAttribute('target'),
+                    download: link.hasAttribute('download')
+                });
+            },
+
+            handleClick(event) {
+                if (event.defaultPrevented || event.button !== 0) return;
+                if (event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
+
+                const url = this.getLinkUrl(event);
+                if (!url) return;
+
+                event.preventDefault();
+                if (!VortixiaApp.drafts.confirmLeave()) return;
+                this.navigate(url, { push: true });
+            },
+
+            handlePrefetch(event) {
+                const url = this.getLinkUrl(event);
+                // A failed prefetch is retried (and falls back) when the link is followed
+                if (url) this.load(url).catch(() => {});
+            },
+
+            handlePopState(event) {
+                const url = new URL(window.location.href);
+
+                // Hash-only entries stay on the current page
+                if (this.getCacheKey(url) === this.getCacheKey(this.currentUrl)) {
+                    this.currentUrl = url;
+                    this.restoreScroll(url, event.state?.scrollY);
+                    return;
+                }
+
+                if (!VortixiaApp.drafts.confirmLeave()) {
+                    // The browser has already moved; put the page being kept back on top
+                    history.pushState({ scrollY: window.scrollY }, '', this.currentUrl.href);
+                    return;
+                }
+
+                this.navigate(url, { push: false, scrollY: event.state?.scrollY });
+            },
+
+            load(url) {
+                const key = this.getCacheKey(url);
+
+                if (!this.cache.has(key)) {
+                    const request = fetch(key, { headers: { Accept: 'text/html' } }).then(response => {
+                        const type = response.headers.get('Content-Type') || '';
+                        if (!response.ok || !type.includes('text/html')) {
+                            throw new Error(`Navigation to ${url.pathname} failed with status ${response.status}`);
+                        }
+                        return response.text();
+                    });
+
+                    request.catch(() => this.cache.delete(key));
+                    this.cache.set(key, request);
+                }
+
+                return this.cache.get(key);
+            },
+
+            async navigate(url, { push = true, scrollY = null } = {}) {
+                const navigationId = ++this.navigationId;
+
+                try {
+                    const html = await this.load(url);
+                    // A newer navigation started while this page was loading
+                    if (navigationId !== this.navigationId) return;
+
+                    const page = new DOMParser().parseFromString(html, 'text/html');
+                    const main = page.querySelector('main.page-content');
+                    if (!main) throw new Error(`${url.pathname} has no main.page-content`);
+
+                    const swap = () => this.swap(page, main, url, { push, scrollY });
+                    const reducedMotion = VortixiaApp.motion.isReduced();
+
+                    if (typeof document.startViewTransition === 'function' && !reducedMotion) {
+                        await document.startViewTransition(swap).updateCallbackDone;
+                    } else {
+                        swap();
+                    }
+                } catch (error) {
+                    window.location.assign(url.href);
+                }
+            },
+
+            swap(page, main, url, { push, scrollY }) {
+                // Only routed entries restore their scroll position manually; full
+                // page loads keep the browser's own restoration
+                history.scrollRestoration = 'manual';
+
+                if (push) {
+                    // Remember where the page being left was scrolled to for Back
+                    history.replaceState({ ...history.state, scrollY: window.scrollY }, '');
+                    history.pushState({}, '', url.href);
+                }
+
+                document.querySelector('main.page-content')?.replaceWith(document.importNode(main, true));
+                document.title = page.title;
+                this.syncBodyClass(page.body);
+                this.currentUrl = new URL(window.location.href);
+
+                VortixiaApp.refresh();
+                this.restoreScroll(url, scrollY);
+                this.focusContent();
+
+                document.dispatchEvent(new CustomEvent('vortixia:page-swapped', { detail: { url: url.href } }));
+            },
+
+            // Page classes such as `projects-page` come from the new document
+            syncBodyClass(body) {
+                const kept = this.persistentBodyClasses.filter(name => document.body.classList.contains(name));
+
+                document.body.className = body?.className || '';
+                document.body.classList.add(...kept);
+            },
+
+            restoreScroll(url, scrollY) {
+                const target = url.hash ? document.getElementById(decodeURIComponent(url.hash.slice(1))) : null;
+
+                if (typeof scrollY === 'number') {
+                    window.scrollTo({ top: scrollY, behavior: 'instant' });
+                } else if (target) {
+                    target.scrollIntoView({ behavior: 'instant', block: 'start' });
+                } else {
+                    window.scrollTo({ top: 0, behavior: 'instant' });
+                }
+            },
+
+            // Move focus to the new content so keyboard and screen reader users start there
+            focusContent() {
+                const main = document.querySelector('main.page-content');
+                if (!main) return;
+
+                main.setAttribute('tabindex', '-1');
+                main.focus({ preventScroll: true });
+            }
+        },
+
+        /**
+         * Manages accessibility features like focus states.
+         */
         accessibility: {
             init() {
                 this.setupFocusStates();
@@ -762,6 +4676,13 @@
     };
 
     // Start the application
-    VortixiaApp.init();
+    if (hasDOM) {
+        VortixiaApp.init();
+    }
+
+    // Export for testing
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { VortixiaApp };
+    }
 
 })();
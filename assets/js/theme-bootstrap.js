@@ -0,0 +1,94 @@
+/**
+ * Theme Bootstrap - Vortixia Website
+ * Paints the saved or system theme before first render. Load it synchronously
+ * in <head>, ahead of the stylesheets, so pages never flash the wrong theme.
+ * The reduced-motion preference is applied here too, so entrance animations
+ * never start for visitors who turned them off.
+ */
+
+(function () {
+    'use strict';
+
+    const STORAGE_KEY = 'theme';
+    const MOTION_STORAGE_KEY = 'motion';
+
+    /**
+     * Resolves the theme to paint. An explicit 'light' or 'dark' choice wins;
+     * anything else (no choice, 'system', stale values) follows the OS setting.
+     */
+    function resolveTheme(saved, prefersDark) {
+        if (saved === 'light' || saved === 'dark') return saved;
+        return prefersDark ? 'dark' : 'light';
+    }
+
+    /**
+     * Reads a saved choice (theme or motion), treating unavailable storage
+     * (private mode, blocked cookies) as no choice rather than failing the page.
+     */
+    function readSaved(storage, key) {
+        try {
+            return storage ? storage.getItem(key) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Resolves whether to reduce motion. An explicit 'reduce' or 'full' choice
+     * wins; anything else follows the OS setting.
+     */
+    function resolveReducedMotion(saved, prefersReduced) {
+        if (saved === 'reduce' || saved === 'full') return saved === 'reduce';
+        return Boolean(prefersReduced);
+    }
+
+    function applyTheme(theme, reducedMotion) {
+        const themeClass = theme === 'dark' ? 'dark-theme' : 'light-theme';
+
+        // Apply to HTML immediately (it exists now)
+        document.documentElement.classList.remove('no-js', 'light-theme', 'dark-theme');
+        document.documentElement.classList.add('js', themeClass);
+        document.documentElement.classList.toggle('reduced-motion', reducedMotion);
+
+        const applyToBody = function () {
+            document.body.classList.remove('light-theme', 'dark-theme');
+            document.body.classList.add(themeClass);
+            document.body.classList.toggle('reduced-motion', reducedMotion);
+        };
+
+        if (document.body) {
+            applyToBody();
+            return;
+        }
+
+        // Watch for body to be created so it is themed before it paints
+        const observer = new MutationObserver(function () {
+            if (document.body) {
+                applyToBody();
+                observer.disconnect();
+            }
+        });
+        observer.observe(document.documentElement, { childList: true });
+    }
+
+    if (typeof window !== 'undefined' && typeof document !== 'undefined') {
+        let storage = null;
+        try {
+            storage = window.localStorage;
+        } catch (error) {
+            // Accessing localStorage itself throws when storage is disabled
+        }
+
+        const matches = query => typeof window.matchMedia === 'function' && window.matchMedia(query).matches;
+
+        applyTheme(
+            resolveTheme(readSaved(storage, STORAGE_KEY), matches('(prefers-color-scheme: dark)')),
+            resolveReducedMotion(readSaved(storage, MOTION_STORAGE_KEY), matches('(prefers-reduced-motion: reduce)'))
+        );
+    }
+
+    // Export for testing
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { resolveTheme, readSaved, resolveReducedMotion };
+    }
+})();
@@ -0,0 +1,79 @@
+const assert = require('assert');
+const http = require('http');
+const { scriptPath } = require('./helpers/paths');
+const { VortixiaApp } = require(scriptPath);
+
+const { forms } = VortixiaApp;
+
+// Start a local mock endpoint that records what it receives
+function startMockServer(handler) {
+    return new Promise((resolve) => {
+        const requests = [];
+        const server = http.createServer((req, res) => {
+            const chunks = [];
+            req.on('data', chunk => chunks.push(chunk));
+            req.on('end', () => {
+                requests.push({
+                    method: req.method,
+                    headers: req.headers,
+                    body: Buffer.concat(chunks).toString()
+                });
+                handler(req, res);
+            });
+        });
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            resolve({ server, requests, url: `http://127.0.0.1:${port}/api/applications` });
+        });
+    });
+}
+
+(async () => {
+    // Test case 1: Required, email, phone and length rules
+    assert.strictEqual(forms.validateValue('', { required: true }), forms.messages.required);
+    assert.strictEqual(forms.validateValue('   ', { required: true }), forms.messages.required);
+    assert.strictEqual(forms.validateValue('', { required: false }), '', 'optional empty fields are valid');
+    assert.strictEqual(forms.validateValue('jane@', { type: 'email' }), forms.messages.email);
+    assert.strictEqual(forms.validateValue('jane@vortixia.com', { type: 'email', required: true }), '');
+    assert.strictEqual(forms.validateValue('12ab', { type: 'tel' }), forms.messages.tel);
+    assert.strictEqual(forms.validateValue('+1 (555) 010-2030', { type: 'tel' }), '');
+    assert.strictEqual(forms.validateValue('Hi', { minLength: 5 }), 'Please enter at least 5 characters.');
+    assert.strictEqual(forms.validateValue('Hello world', { maxLength: 5 }), 'Please use no more than 5 characters.');
+
+    // Test case 2: File fields validate their FileList
+    assert.strictEqual(forms.validateValue([], { type: 'file', required: true }), forms.messages.file);
+    assert.strictEqual(forms.validateValue([{ name: 'resume.pdf' }], { type: 'file', required: true }), '');
+
+    // Test case 3: Successful submissions post the multipart body and return the JSON reply
+    const ok = await startMockServer((req, res) => {
+        res.writeHead(201, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ id: 'app-1' }));
+    });
+
+    const body = new FormData();
+    body.append('name', 'Jane Doe');
+    body.append('resume', new Blob(['%PDF-1.4'], { type: 'application/pdf' }), 'resume.pdf');
+
+    const result = await forms.send(ok.url, body);
+    assert.deepStrictEqual(result, { id: 'app-1' });
+    assert.strictEqual(ok.requests.length, 1);
+    assert.strictEqual(ok.requests[0].method, 'POST');
+    assert.ok(ok.requests[0].headers['content-type'].startsWith('multipart/form-data'), 'submissions should be multipart');
+    assert.ok(ok.requests[0].body.includes('Jane Doe'), 'text fields should be serialized');
+    assert.ok(ok.requests[0].body.includes('filename="resume.pdf"'), 'the resume upload should be serialized');
+    ok.server.close();
+
+    // Test case 4: Server errors reject so the form can show its failure state
+    const failing = await startMockServer((req, res) => {
+        res.writeHead(500);
+        res.end();
+    });
+
+    await assert.rejects(forms.send(failing.url, new FormData()), /status 500/);
+    failing.server.close();
+
+    console.log('application-form.test.js passed');
+})().catch((error) => {
+    console.error('Application form test failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,97 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { rootDir, scriptPath } = require('./helpers/paths');
+const { installDom } = require('./helpers/dom');
+const { VortixiaApp } = require(scriptPath);
+
+const { caseStudies } = VortixiaApp;
+
+// Test case 1: Only #project/<id> hashes name a case study
+assert.strictEqual(caseStudies.getProjectId('#project/cloud-migration'), 'cloud-migration');
+assert.strictEqual(caseStudies.getProjectId('#project/'), null);
+assert.strictEqual(caseStudies.getProjectId('#services'), null);
+assert.strictEqual(caseStudies.getProjectId('#project/%E0%A4%A'), null, 'malformed escapes are ignored');
+assert.strictEqual(caseStudies.getHash({ id: 'e-commerce-platform' }), '#project/e-commerce-platform');
+
+// Test case 2: The feed must hold a projects array; entries without an id are skipped
+assert.throws(() => caseStudies.parseDetails({}), /"projects" array/);
+const details = caseStudies.parseDetails({ projects: [{ id: 'a', challenge: 'Slow checkout' }, { challenge: 'orphan' }] });
+assert.deepStrictEqual(Array.from(details.keys()), ['a']);
+
+// Test case 3: Feed details extend what the cards show, keeping the card image without a gallery
+caseStudies.projects = [
+    { id: 'a', title: 'Alpha', gallery: [{ src: 'a.png', alt: 'Alpha' }] },
+    { id: 'b', title: 'Beta', gallery: [] },
+    { id: 'c', title: 'Gamma', gallery: [] }
+];
+caseStudies.mergeDetails(details);
+assert.strictEqual(caseStudies.projects[0].challenge, 'Slow checkout');
+assert.deepStrictEqual(caseStudies.projects[0].gallery, [{ src: 'a.png', alt: 'Alpha' }]);
+assert.strictEqual(caseStudies.findIndex('c'), 2);
+assert.strictEqual(caseStudies.findIndex('missing'), -1);
+
+// Test case 4: Previous and next wrap around the cards in their shown order
+const dom = installDom({
+    html: ['c', 'a', 'b'].map(id => `<div class="project-card" data-project="${id}"></div>`).join('')
+});
+const card = id => document.querySelector(`[data-project="${id}"]`);
+const first = caseStudies.getNeighbours(0);
+assert.deepStrictEqual([first.previous.id, first.next.id, first.position, first.count], ['c', 'b', 2, 3]);
+
+// Test case 5: Projects hidden by the portfolio filters are skipped and left out of the count
+card('b').classList.add('is-filtered-out');
+const filtered = caseStudies.getNeighbours(0);
+assert.deepStrictEqual([filtered.previous.id, filtered.next.id, filtered.position, filtered.count], ['c', 'c', 2, 2]);
+
+// A deep-linked study whose card is filtered out still pages through the visible ones
+card('c').hidden = true;
+const deepLinked = caseStudies.getNeighbours(2);
+assert.deepStrictEqual([deepLinked.previous.id, deepLinked.next.id, deepLinked.position, deepLinked.count], ['a', 'a', 1, 2]);
+
+card('a').hidden = true;
+card('c').hidden = false;
+card('b').classList.remove('is-filtered-out');
+card('b').hidden = true;
+assert.deepStrictEqual(caseStudies.getNeighbours(2), { previous: null, next: null, position: 1, count: 1 },
+    'a single visible study has no pagination');
+dom.restore();
+
+// Test case 6: The study shows every section, escapes feed text and links its neighbours
+const html = caseStudies.renderStudy({
+    id: 'a',
+    title: 'Alpha <Launch>',
+    highlight: '+35% conversion',
+    challenge: 'Slow checkout',
+    solution: 'Headless storefront',
+    results: ['More sales'],
+    gallery: [{ src: 'a.png', alt: 'Alpha', caption: 'Storefront' }]
+}, first);
+assert.ok(html.includes('Alpha &lt;Launch&gt;'));
+['The challenge', 'Our solution', 'Results', 'project-highlight', 'case-study-gallery', 'href="#project/c"', 'href="#project/b"']
+    .forEach(fragment => assert.ok(html.includes(fragment), `rendered study is missing ${fragment}`));
+
+// Test case 7: Closing pops the history entry it pushed, but only drops the hash of a deep link
+const calls = [];
+global.window = {
+    location: { pathname: '/projects.html', search: '', hash: '#project/a' },
+    history: {
+        state: { caseStudy: 'a' },
+        back: () => calls.push('back'),
+        replaceState: (state, title, url) => calls.push(`replace:${url}`)
+    }
+};
+caseStudies.requestClose();
+window.history.state = null;
+caseStudies.requestClose();
+assert.deepStrictEqual(calls, ['back', 'replace:/projects.html']);
+delete global.window;
+
+// Test case 8: Every project card has a case study in the feed
+const feed = JSON.parse(fs.readFileSync(path.join(rootDir, 'assets/data/projects.json'), 'utf8'));
+const feedIds = new Set(feed.projects.map(project => project.id));
+const cardIds = Array.from(fs.readFileSync(path.join(rootDir, 'projects.html'), 'utf8').matchAll(/data-project="([^"]+)"/g), match => match[1]);
+assert.ok(cardIds.length > 0);
+cardIds.forEach(id => assert.ok(feedIds.has(id), `${id} has no case study in projects.json`));
+
+console.log('case-studies.test.js passed');
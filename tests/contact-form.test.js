@@ -0,0 +1,40 @@
+const assert = require('assert');
+const { scriptPath } = require('./helpers/paths');
+const { installDom } = require('./helpers/dom');
+const { VortixiaApp } = require(scriptPath);
+
+const { forms } = VortixiaApp;
+
+// Test case 1: A filled honeypot marks the submission as a bot
+assert.strictEqual(forms.getSpamCheck({ honeypotValue: 'https://spam.example', startedAt: 0, now: 60000 }), 'bot');
+assert.strictEqual(forms.getSpamCheck({ honeypotValue: '   ', startedAt: 0, now: 60000 }), 'ok');
+
+// Test case 2: Submissions faster than the minimum time are rejected
+assert.strictEqual(forms.getSpamCheck({ startedAt: 1000, now: 2500, minSeconds: 3 }), 'too-fast');
+assert.strictEqual(forms.getSpamCheck({ startedAt: 1000, now: 4000, minSeconds: 3 }), 'ok');
+assert.strictEqual(forms.getSpamCheck({ startedAt: 1000, now: 1001 }), 'ok', 'forms without a minimum time are not timed');
+
+// Test case 3: Repeat submissions wait out the rate limit
+assert.strictEqual(forms.getRetryDelay(0, 5000, 60), 0, 'first submissions are never limited');
+assert.strictEqual(forms.getRetryDelay(10000, 40000, 60), 30);
+assert.strictEqual(forms.getRetryDelay(10000, 69500, 60), 1, 'partial seconds round up');
+assert.strictEqual(forms.getRetryDelay(10000, 70000, 60), 0);
+assert.strictEqual(forms.getRetryDelay(10000, 11000, 0), 0, 'forms without a limit are never throttled');
+
+// Test case 4: Per-form copy overrides the defaults
+const contactForm = { dataset: { successMessage: 'Message sent!' } };
+assert.strictEqual(forms.getMessage(contactForm, 'success'), 'Message sent!');
+assert.strictEqual(forms.getMessage(contactForm, 'failure'), forms.messages.failure);
+
+// Test case 5: The default copy suits any form; application pages say "application" themselves
+['success', 'failure'].forEach(kind => assert.ok(!/application/i.test(forms.messages[kind]), `the ${kind} default mentions applications`));
+['application.html', 'submit-resume.html', 'contact.html'].forEach((page) => {
+    const dom = installDom({ page });
+    const form = document.querySelector(forms.selector);
+    const expected = page === 'contact.html' ? /message/ : /application/;
+    assert.match(forms.getMessage(form, 'success'), expected, `${page} success copy`);
+    assert.match(forms.getMessage(form, 'failure'), expected, `${page} failure copy`);
+    dom.restore();
+});
+
+console.log('contact-form.test.js passed');
@@ -0,0 +1,67 @@
+const assert = require('assert');
+const { scriptPath } = require('./helpers/paths');
+const { installDom } = require('./helpers/dom');
+const { VortixiaApp } = require(scriptPath);
+
+const { counters, motion } = VortixiaApp;
+
+// Test case 1: Figures split into the number and the text around it
+assert.deepStrictEqual(counters.parse('120+'), { prefix: '', value: 120, decimals: 0, suffix: '+' });
+assert.deepStrictEqual(counters.parse(' 40% '), { prefix: '', value: 40, decimals: 0, suffix: '%' });
+assert.deepStrictEqual(counters.parse('120k'), { prefix: '', value: 120, decimals: 0, suffix: 'k' });
+assert.deepStrictEqual(counters.parse('$1,250.5M'), { prefix: '$', value: 1250.5, decimals: 1, suffix: 'M' });
+assert.strictEqual(counters.parse('Always on'), null);
+
+// Test case 2: Intermediate values keep the figure's precision and affixes
+assert.strictEqual(counters.format(counters.parse('98%'), 48.6, 'en-US'), '49%');
+assert.strictEqual(counters.format(counters.parse('$1,250.5M'), 1000, 'en-US'), '$1,000.0M');
+assert.strictEqual(counters.ease(0), 0);
+assert.strictEqual(counters.ease(1), 1);
+
+// The about page's real figures
+const dom = installDom({ page: 'about.html' });
+const [stat, metric, third] = document.querySelectorAll('.stat-value');
+const nextFrame = time => assert.strictEqual(window.runFrames(time), 1, 'one animation frame should be pending');
+
+// Test case 3: Counting hides the moving digits and exposes the final value
+motion.reduced = false;
+counters.start(stat);
+const [display, label] = stat.childNodes;
+assert.strictEqual(display.getAttribute('aria-hidden'), 'true');
+assert.strictEqual(label.className, 'visually-hidden');
+assert.strictEqual(label.textContent, '120+');
+assert.strictEqual(stat.dataset.countState, 'running');
+
+nextFrame(1000);
+assert.strictEqual(display.textContent, '0+');
+nextFrame(1000 + counters.duration / 2);
+assert.ok(Number.parseInt(display.textContent, 10) > 60, 'ease-out covers most of the distance by halfway');
+nextFrame(1000 + counters.duration);
+
+// Test case 4: The original text is restored once, and never counted again
+assert.strictEqual(window.frames.length, 0);
+assert.strictEqual(stat.childNodes.length, 1);
+assert.strictEqual(stat.innerHTML, '120+');
+assert.strictEqual(stat.dataset.countState, 'done');
+counters.start(stat);
+assert.strictEqual(window.frames.length, 0);
+
+// Test case 5: Reduced motion shows the final value straight away
+motion.reduced = true;
+counters.start(metric);
+assert.strictEqual(metric.innerHTML, '40%');
+assert.strictEqual(metric.dataset.countState, 'done');
+assert.strictEqual(window.frames.length, 0);
+
+// Test case 6: Switching to reduced motion mid-count jumps to the final value
+motion.reduced = false;
+counters.start(third);
+counters.finishAll();
+assert.strictEqual(third.innerHTML, '98%');
+assert.strictEqual(counters.running.size, 0);
+assert.strictEqual(window.frames.length, 0, 'the pending frame is cancelled');
+
+motion.reduced = false;
+dom.restore();
+
+console.log('count-up.test.js passed');
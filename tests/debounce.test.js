@@ -0,0 +1,47 @@
+const assert = require('assert');
+const { optimizerPath } = require('./helpers/paths');
+const { debounce } = require(optimizerPath);
+
+// Helper function to introduce a delay in an async function
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Immediately-invoked async function to run the tests
+(async () => {
+    // Test case 1: Ensure only the last call in a burst is invoked
+    const calls = [];
+    const debounced = debounce((value) => {
+        calls.push(value);
+    }, 50);
+
+    debounced(1); // Should be dropped
+    await wait(20);
+    debounced(2); // Should be dropped
+    await wait(20);
+    debounced(3); // Should be called once the burst settles
+    await wait(30);
+
+    assert.deepStrictEqual(calls, [], 'debounce should wait until calls stop for the wait period');
+
+    await wait(40);
+    assert.deepStrictEqual(calls, [3], 'debounce should invoke the callback with the latest arguments');
+
+    // Test case 2: Ensure 'this' context is preserved
+    const context = { total: 0 };
+    const increment = debounce(function (amount) {
+        this.total += amount;
+    }, 50);
+
+    increment.call(context, 5);
+    await wait(70);
+    increment.call(context, 3);
+    await wait(70);
+
+    assert.strictEqual(context.total, 8, 'debounce should preserve the original call context');
+
+    console.log('debounce.test.js passed');
+})().catch((error) => {
+    console.error('Debounce test failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,40 @@
+const assert = require('assert');
+const { scriptPath } = require('./helpers/paths');
+const { VortixiaApp } = require(scriptPath);
+
+const { equalHeights } = VortixiaApp;
+
+const card = name => ({ name });
+const [a, b, c, d, e] = ['a', 'b', 'c', 'd', 'e'].map(card);
+
+// Test case 1: Cards are grouped into rows by their top offset
+const rows = equalHeights.groupRows([
+    { item: c, top: 420, height: 300 },
+    { item: a, top: 0, height: 380 },
+    { item: b, top: 1, height: 410 },
+    { item: d, top: 420, height: 350 }
+]);
+assert.deepStrictEqual(rows.map(row => row.map(entry => entry.item.name)), [['a', 'b'], ['c', 'd']]);
+
+// Test case 2: Each row is matched to its own tallest card, not the page's
+const heights = equalHeights.getRowHeights([
+    { item: a, top: 0, height: 380 },
+    { item: b, top: 0, height: 410 },
+    { item: c, top: 420, height: 300 },
+    { item: d, top: 420, height: 350 },
+    { item: e, top: 800, height: 200 }
+]);
+assert.strictEqual(heights.get(a), 410);
+assert.strictEqual(heights.get(b), 410);
+assert.strictEqual(heights.get(c), 350);
+assert.strictEqual(heights.get(d), 350);
+
+// Test case 3: Cards alone on their row keep their natural height
+assert.strictEqual(heights.has(e), false);
+const singleColumn = equalHeights.getRowHeights([
+    { item: a, top: 0, height: 380 },
+    { item: b, top: 400, height: 900 }
+]);
+assert.strictEqual(singleColumn.size, 0);
+
+console.log('equal-heights.test.js passed');
@@ -0,0 +1,36 @@
+const assert = require('assert');
+const { scriptPath } = require('./helpers/paths');
+const { VortixiaApp } = require(scriptPath);
+
+const { drafts } = VortixiaApp;
+
+const createFields = () => [
+    { name: 'name', type: 'text', value: 'Ada Lovelace' },
+    { name: 'message', type: 'textarea', value: 'Hello' },
+    { name: 'skills', type: 'checkbox', value: 'js', checked: true },
+    { name: 'skills', type: 'checkbox', value: 'css', checked: false },
+    { name: 'skills', type: 'checkbox', value: 'go', checked: true }
+];
+
+// Test case 1: Values are collected by name, with checked boxes grouped
+assert.deepStrictEqual(drafts.collectValues(createFields()), {
+    name: 'Ada Lovelace',
+    message: 'Hello',
+    skills: ['js', 'go']
+});
+
+// Test case 2: Saved values are restored onto matching fields only
+const restored = createFields().map(field => ({ ...field, value: field.type === 'checkbox' ? field.value : '', checked: false }));
+restored.push({ name: 'phone', type: 'tel', value: '555' });
+drafts.applyValues(restored, { name: 'Grace', message: 'Hi again', skills: ['css'] });
+assert.strictEqual(restored[0].value, 'Grace');
+assert.strictEqual(restored[1].value, 'Hi again');
+assert.deepStrictEqual(restored.filter(field => field.checked).map(field => field.value), ['css']);
+assert.strictEqual(restored[5].value, '555', 'fields missing from the draft are left alone');
+
+// Test case 3: Empty drafts are not worth offering
+assert.strictEqual(drafts.hasValues({ name: '  ', skills: [] }), false);
+assert.strictEqual(drafts.hasValues({ name: '', skills: ['js'] }), true);
+assert.strictEqual(drafts.hasValues(null), false);
+
+console.log('form-drafts.test.js passed');
@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const FakeTimers = require('@sinonjs/fake-timers');
+const { rootDir } = require('./paths');
+
+// Window properties script.js reaches for as bare globals
+const GLOBALS = [
+    'location', 'history', 'localStorage', 'sessionStorage', 'navigator',
+    'getComputedStyle', 'requestAnimationFrame', 'cancelAnimationFrame', 'matchMedia',
+    'Node', 'Element', 'HTMLElement', 'Text', 'NodeFilter', 'DOMParser', 'MutationObserver', 'Option',
+    'Event', 'CustomEvent', 'KeyboardEvent', 'MouseEvent', 'FocusEvent', 'TouchEvent'
+];
+
+function readPage(page) {
+    return fs.readFileSync(path.join(rootDir, page), 'utf8');
+}
+
+/**
+ * jsdom has no matchMedia; this list answers from `media` and lets tests flip
+ * it with `setMatches`, which fires `change` like an OS setting change would.
+ */
+function createMatchMedia(window, media) {
+    const lists = new Map();
+
+    return (query) => {
+        if (!lists.has(query)) {
+            const list = new window.EventTarget();
+            list.media = query;
+            list.matches = Object.entries(media).some(([feature, value]) => value && query.includes(feature));
+            list.addListener = callback => list.addEventListener('change', callback);
+            list.removeListener = callback => list.removeEventListener('change', callback);
+            list.setMatches = (matches) => {
+                list.matches = matches;
+                list.dispatchEvent(Object.assign(new window.Event('change'), { matches }));
+            };
+            lists.set(query, list);
+        }
+        return lists.get(query);
+    };
+}
+
+/**
+ * Loads `html` (or one of the site's pages) into jsdom and exposes its window
+ * as globals, the way a browser would for script.js. Call `restore()` when
+ * done.
+ *
+ * - `media` sets which media features match, e.g. `{ 'prefers-reduced-motion': true }`.
+ * - `fakeTimers: true` fakes setTimeout/setInterval; advance them with `clock.tick(ms)`.
+ * - Animation frames only run when the test calls `window.runFrames(time)`.
+ */
+function installDom({ html = '', page = null, url = null, media = {}, fakeTimers = false } = {}) {
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.sendTo(console);
+
+    const dom = new JSDOM(page ? readPage(page) : html, {
+        url: url || `https://vortixia.example/${page || 'index.html'}`,
+        pretendToBeVisual: true,
+        virtualConsole
+    });
+    const { window } = dom;
+
+    window.matchMedia = createMatchMedia(window, media);
+    window.scrollTo = (x, y) => {
+        window.scrollX = window.pageXOffset = typeof x === 'object' ? x.left ?? window.scrollX : x;
+        window.scrollY = window.pageYOffset = typeof x === 'object' ? x.top ?? window.scrollY : y;
+    };
+    window.scroll = window.scrollTo;
+
+    const frames = new Map();
+    let lastFrame = 0;
+    window.requestAnimationFrame = (callback) => {
+        frames.set(++lastFrame, callback);
+        return lastFrame;
+    };
+    window.cancelAnimationFrame = id => frames.delete(id);
+    window.runFrames = (time = 0) => {
+        const pending = Array.from(frames.values());
+        frames.clear();
+        pending.forEach(callback => callback(time));
+        return pending.length;
+    };
+
+    const saved = new Map();
+    const define = (name, value) => {
+        saved.set(name, Object.getOwnPropertyDescriptor(global, name));
+        Object.defineProperty(global, name, { value, configurable: true, writable: true, enumerable: true });
+    };
+
+    define('window', window);
+    define('document', window.document);
+    GLOBALS.forEach(name => define(name, window[name]));
+
+    const clock = fakeTimers
+        ? FakeTimers.withGlobal(global).install({ toFake: ['setTimeout', 'clearTimeout', 'setInterval', 'clearInterval'] })
+        : null;
+
+    return {
+        window,
+        document: window.document,
+        clock,
+        restore() {
+            clock?.uninstall();
+            saved.forEach((descriptor, name) => {
+                if (descriptor) {
+                    Object.defineProperty(global, name, descriptor);
+                } else {
+                    delete global[name];
+                }
+            });
+            window.close();
+        }
+    };
+}
+
+module.exports = { installDom, readPage };
@@ -10,8 +10,16 @@ const docsDir = rootDir;
 // Update the optimizer path to reflect its location in the 'assets' folder
 const optimizerPath = path.join(docsDir, 'assets', 'js', 'performance-optimizer.js');
 
+// Main site script, which exports VortixiaApp when loaded outside the browser
+const scriptPath = path.join(docsDir, 'assets', 'js', 'script.js');
+
+// Head script that paints the saved theme before first render
+const themeBootstrapPath = path.join(docsDir, 'assets', 'js', 'theme-bootstrap.js');
+
 module.exports = {
     rootDir,
     docsDir,
     optimizerPath,
+    scriptPath,
+    themeBootstrapPath,
 };
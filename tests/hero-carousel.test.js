@@ -0,0 +1,108 @@
+const assert = require('assert');
+const { scriptPath } = require('./helpers/paths');
+const { installDom } = require('./helpers/dom');
+const { VortixiaApp } = require(scriptPath);
+
+const { animations, motion } = VortixiaApp;
+
+// Test case 1: Slide indexes wrap in both directions
+assert.strictEqual(animations.wrapIndex(3, 3), 0);
+assert.strictEqual(animations.wrapIndex(-1, 3), 2);
+assert.strictEqual(animations.wrapIndex(1, 3), 1);
+
+// Test case 2: Horizontal gestures past the threshold are swipes
+assert.strictEqual(animations.getSwipeDirection(-80, 10, 50), 'left');
+assert.strictEqual(animations.getSwipeDirection(75, -20, 50), 'right');
+
+// Test case 3: Short or mostly vertical gestures are left to scrolling
+assert.strictEqual(animations.getSwipeDirection(30, 0, 50), null);
+assert.strictEqual(animations.getSwipeDirection(-60, 120, 50), null);
+
+// The home page hero, with timers driven by hand
+let dom = installDom({ page: 'index.html', fakeTimers: true });
+motion.init();
+animations.setupCarousel();
+
+const region = document.querySelector('.hero-container');
+const toggle = region.querySelector('.carousel-toggle');
+const activeSlide = () => Array.from(document.querySelectorAll('.hero-slide')).findIndex(slide => slide.classList.contains('active'));
+const advance = () => dom.clock.tick(animations.carouselInterval);
+
+// Test case 4: Slides advance on their own and wrap, keeping the dots in step
+assert.strictEqual(activeSlide(), 0);
+advance();
+assert.strictEqual(activeSlide(), 1);
+assert.strictEqual(document.querySelector('#hero-tab-2').getAttribute('aria-selected'), 'true');
+advance();
+advance();
+assert.strictEqual(activeSlide(), 0);
+
+// Test case 5: Hovering pauses rotation until the pointer leaves
+region.dispatchEvent(new MouseEvent('mouseenter'));
+advance();
+assert.strictEqual(activeSlide(), 0);
+assert.strictEqual(document.querySelector('.hero-carousel').getAttribute('aria-live'), 'polite');
+region.dispatchEvent(new MouseEvent('mouseleave'));
+advance();
+assert.strictEqual(activeSlide(), 1);
+
+// Test case 6: Focus inside the carousel pauses it until focus leaves the region
+region.querySelector('.carousel-next').focus();
+advance();
+assert.strictEqual(activeSlide(), 1);
+Array.from(document.querySelectorAll('a[href]')).find(link => !region.contains(link)).focus();
+advance();
+assert.strictEqual(activeSlide(), 2);
+
+// Test case 7: A hidden tab stops the timer; coming back resumes it
+const setHidden = (hidden) => {
+    Object.defineProperty(document, 'hidden', { value: hidden, configurable: true });
+    document.dispatchEvent(new Event('visibilitychange'));
+};
+setHidden(true);
+advance();
+assert.strictEqual(activeSlide(), 2);
+setHidden(false);
+advance();
+assert.strictEqual(activeSlide(), 0);
+
+// Test case 8: Swipes move the slide and pause rotation while the finger is down
+const track = document.querySelector('.hero-carousel');
+track.dispatchEvent(new TouchEvent('touchstart', { touches: [{ clientX: 300, clientY: 100 }] }));
+advance();
+assert.strictEqual(activeSlide(), 0);
+track.dispatchEvent(new TouchEvent('touchend', { changedTouches: [{ clientX: 200, clientY: 110 }] }));
+assert.strictEqual(activeSlide(), 1);
+
+// Test case 9: The toggle button stops and restarts rotation
+toggle.click();
+assert.strictEqual(toggle.getAttribute('aria-label'), 'Start slide rotation');
+assert.ok(toggle.classList.contains('is-paused'));
+advance();
+assert.strictEqual(activeSlide(), 1);
+toggle.click();
+assert.strictEqual(toggle.getAttribute('aria-label'), 'Pause slide rotation');
+advance();
+assert.strictEqual(activeSlide(), 2);
+
+// Test case 10: Switching to reduced motion mid-rotation stops the carousel
+dom.window.matchMedia('(prefers-reduced-motion: reduce)').setMatches(true);
+assert.strictEqual(toggle.getAttribute('aria-label'), 'Start slide rotation');
+advance();
+assert.strictEqual(activeSlide(), 2);
+animations.stopCarousel();
+dom.restore();
+
+// Test case 11: Visitors who prefer reduced motion never get autoplay
+dom = installDom({ page: 'index.html', media: { 'prefers-reduced-motion': true }, fakeTimers: true });
+motion.init();
+animations.setupCarousel();
+assert.strictEqual(document.querySelector('.carousel-toggle').getAttribute('aria-label'), 'Start slide rotation');
+advance();
+assert.strictEqual(activeSlide(), 0);
+document.querySelector('.carousel-next').click();
+assert.strictEqual(activeSlide(), 1, 'manual controls still work');
+animations.stopCarousel();
+dom.restore();
+
+console.log('hero-carousel.test.js passed');
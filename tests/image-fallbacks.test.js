@@ -0,0 +1,116 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { rootDir, scriptPath } = require('./helpers/paths');
+const { installDom } = require('./helpers/dom');
+const { VortixiaApp } = require(scriptPath);
+
+const { images } = VortixiaApp;
+const decode = uri => decodeURIComponent(uri.replace('data:image/svg+xml;charset=UTF-8,', ''));
+
+// Test case 1: Placeholders are inline SVGs sized to the image and labelled with escaped alt text
+const uri = images.createPlaceholder({
+    width: 400,
+    height: 225,
+    label: 'R&D <lab> "preview"',
+    ...images.getColors(true)
+});
+assert.ok(uri.startsWith('data:image/svg+xml;charset=UTF-8,'), 'placeholder should be a data URI');
+const svg = decode(uri);
+assert.ok(svg.includes('width="400" height="225"'), 'placeholder should keep the image dimensions');
+assert.ok(svg.includes('R&amp;D &lt;lab&gt; &quot;preview&quot;'), 'alt text should be escaped into the SVG');
+assert.ok(svg.includes('#1A202C'), 'dark theme should use the dark background');
+
+// Test case 2: Theme colours follow the active theme
+assert.notStrictEqual(images.getColors(true).background, images.getColors(false).background);
+assert.ok(decode(images.createPlaceholder({ width: 10, height: 10, label: 'x', ...images.getColors(false) })).includes('#EDF2F7'));
+
+// jsdom never fetches images, so settle them by hand the way a browser would
+const settle = (img, naturalWidth) => Object.defineProperties(img, {
+    complete: { value: true, configurable: true },
+    naturalWidth: { value: naturalWidth, configurable: true }
+});
+const fail = (img) => {
+    settle(img, 0);
+    img.dispatchEvent(new Event('error'));
+};
+
+// The home page's project cards, with one image already broken before the script runs
+const dom = installDom({ page: 'index.html', fakeTimers: true });
+document.body.classList.add('light-theme');
+const [broken, loaded, later] = document.querySelectorAll('.project-card img');
+fail(broken);
+settle(loaded, 640);
+
+const dispatched = [];
+const warnings = [];
+document.addEventListener('vortixia:image-failed', event => dispatched.push(event.detail));
+const originalWarn = console.warn;
+const originalTable = console.table;
+console.warn = message => warnings.push(message);
+console.table = () => {};
+
+// Test case 3: Images that already failed are swapped and reported; loaded ones are left alone
+images.init();
+assert.strictEqual(broken.dataset.fallback, 'true');
+assert.ok(broken.classList.contains('image-fallback'));
+assert.ok(decode(broken.src).includes('width="400" height="225"'), 'placeholder should use the width/height attributes');
+assert.ok(decode(broken.src).includes('E-Commerce Platform project preview'));
+assert.ok(decode(broken.src).includes('#EDF2F7'), 'placeholder should use the light theme colours');
+assert.strictEqual(loaded.getAttribute('src'), 'assets/images/projects/project2.png');
+assert.strictEqual(dispatched.length, 1);
+assert.deepStrictEqual({ src: dispatched[0].src, alt: dispatched[0].alt },
+    { src: 'https://vortixia.example/assets/images/projects/project1.png', alt: 'E-Commerce Platform project preview' });
+
+// Test case 4: Later failures are caught by the capture-phase listener
+fail(later);
+assert.strictEqual(later.dataset.fallback, 'true');
+assert.strictEqual(dispatched.length, 2);
+
+// Test case 5: A placeholder that errors again is not replaced a second time
+const placeholder = broken.src;
+fail(broken);
+images.sweep();
+assert.strictEqual(broken.src, placeholder);
+assert.strictEqual(dispatched.length, 2, 'a failed image should only be reported once');
+
+// Test case 6: Images without dimensions fall back to the default size
+const unsized = document.createElement('img');
+unsized.alt = 'Gone';
+unsized.src = 'assets/images/gone.png';
+document.body.appendChild(unsized);
+fail(unsized);
+assert.ok(decode(unsized.src).includes('width="400" height="225"'));
+
+// Test case 7: Theme changes repaint existing placeholders
+document.body.classList.replace('light-theme', 'dark-theme');
+images.repaint();
+assert.ok(decode(broken.src).includes('#1A202C'), 'placeholders should follow the new theme');
+
+// Test case 8: Failures are summarised once per burst in the console
+dom.clock.tick(images.reportDelay);
+assert.strictEqual(warnings.length, 1);
+assert.ok(warnings[0].includes('3 images failed'));
+
+// Test case 9: Later bursts (e.g. after a page swap) only report their own failures
+const next = document.createElement('img');
+next.alt = 'Next page';
+next.src = 'assets/images/next.png';
+document.body.appendChild(next);
+fail(next);
+dom.clock.tick(images.reportDelay);
+assert.strictEqual(warnings.length, 2);
+assert.ok(warnings[1].includes('1 image failed'), 'earlier failures should not be repeated');
+
+console.warn = originalWarn;
+console.table = originalTable;
+dom.restore();
+
+// Test case 10: No third-party placeholder service is referenced anywhere
+['index.html', 'projects.html', 'team.html', 'assets/js/script.js'].forEach(file => {
+    const source = fs.readFileSync(path.join(rootDir, file), 'utf8');
+    assert.ok(!source.includes('placehold.co'), `${file} should not reference placehold.co`);
+    assert.ok(!/onerror=/.test(source), `${file} should not use inline onerror handlers`);
+});
+
+console.log('image-fallbacks.test.js passed');
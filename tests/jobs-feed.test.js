@@ -0,0 +1,89 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { rootDir, scriptPath } = require('./helpers/paths');
+const { installDom } = require('./helpers/dom');
+const { VortixiaApp } = require(scriptPath);
+
+const { jobs } = VortixiaApp;
+const feedPath = path.join(rootDir, 'assets', 'data', 'jobs.json');
+
+// Test case 1: The published feed parses today and every role links to an existing application page
+const feed = JSON.parse(fs.readFileSync(feedPath, 'utf8'));
+const roles = jobs.parseFeed(feed);
+assert.ok(roles.length > 0, 'jobs.json should list at least one open role');
+assert.deepStrictEqual(roles, feed.jobs.filter(job => job.open !== false && !jobs.isExpired(job)),
+    'only closed roles or ones past their closing date leave the feed');
+roles.forEach((job) => {
+    ['id', 'title', 'discipline', 'posted', 'location'].forEach((field) => {
+        assert.ok(job[field], `${job.id || job.title} is missing "${field}"`);
+    });
+    assert.ok(!Number.isNaN(new Date(job.posted).getTime()), `${job.id} has an invalid posted date`);
+    assert.ok(!job.closes || VortixiaApp.positions.parseDate(job.closes), `${job.id} has an invalid closing date`);
+    const [applicationPage] = jobs.getApplicationUrl(job).split('?');
+    assert.ok(fs.existsSync(path.join(rootDir, applicationPage)), `${job.id} links to a missing application page`);
+
+    // Legacy per-role pages must keep forwarding to the shared application page
+    const legacyPage = path.join(rootDir, `${job.application}-application.html`);
+    if (fs.existsSync(legacyPage)) {
+        assert.ok(fs.readFileSync(legacyPage, 'utf8').includes(jobs.getApplicationUrl(job)), `${job.id} legacy page should redirect`);
+    }
+
+    (job.form?.sections || []).forEach((section) => {
+        section.questions.forEach((question) => {
+            assert.ok(question.name && question.label, `${job.id} has a role question without a name or label`);
+        });
+    });
+});
+
+// Test case 2: Closed or incomplete roles are dropped, malformed feeds are rejected
+const parsed = jobs.parseFeed({
+    jobs: [
+        { title: 'Open', application: 'open-role' },
+        { title: 'Closed', application: 'closed-role', open: false },
+        { title: 'No application page' }
+    ]
+});
+assert.deepStrictEqual(parsed.map(job => job.title), ['Open']);
+assert.throws(() => jobs.parseFeed({}), /"jobs" array/);
+
+// Test case 3: Feed content is escaped before it is rendered
+assert.strictEqual(jobs.escapeHtml('<b>"R&D"</b>'), '&lt;b&gt;&quot;R&amp;D&quot;&lt;/b&gt;');
+
+// Test case 4: Role questions render as labelled form fields
+const { applications } = VortixiaApp;
+assert.strictEqual(applications.humanize('cybersecurity-specialist'), 'Cybersecurity Specialist');
+
+const portfolio = applications.renderQuestion({ type: 'url', name: 'portfolio', label: 'Portfolio URL', required: true });
+assert.ok(portfolio.includes('type="url"') && portfolio.includes('name="portfolio"') && portfolio.includes(' required'));
+assert.ok(portfolio.includes('for="question-portfolio"') && portfolio.includes('id="question-portfolio"'));
+
+const certs = applications.renderQuestion({
+    type: 'checkboxes',
+    name: 'certs',
+    label: 'Certifications',
+    options: [{ value: 'cissp', label: 'CISSP' }]
+});
+assert.ok(certs.includes('type="checkbox" name="certs" value="cissp"'));
+assert.ok(certs.includes('aria-labelledby="question-certs-label"'));
+
+// Test case 5: A feed with no open roles leaves the static cards and menus in place
+(async () => {
+    const dom = installDom({ page: 'open-positions.html' });
+    VortixiaApp.layout.render();
+    const grid = document.querySelector('.positions-grid').innerHTML;
+    const menu = document.querySelector('.nested-dropdown-menu').innerHTML;
+
+    jobs.request = Promise.resolve({ jobs: [{ title: 'Closed', application: 'closed', open: false }] });
+    await jobs.init();
+    assert.strictEqual(document.querySelector('.positions-grid').innerHTML, grid);
+    assert.strictEqual(document.querySelector('.nested-dropdown-menu').innerHTML, menu);
+
+    jobs.request = null;
+    dom.restore();
+
+    console.log('jobs-feed.test.js passed');
+})().catch((error) => {
+    console.error(error);
+    process.exit(1);
+});
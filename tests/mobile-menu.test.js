@@ -0,0 +1,97 @@
+const assert = require('assert');
+const { scriptPath } = require('./helpers/paths');
+const { installDom } = require('./helpers/dom');
+const { VortixiaApp } = require(scriptPath);
+
+const { layout, mobileMenu } = VortixiaApp;
+const dom = installDom({ page: 'about.html' });
+layout.render();
+
+const pressKey = (key, options = {}) => document.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options }));
+
+// Test case 1: Tab wraps at both ends of the trap and pulls stray focus back in
+const [first, middle, last] = ['a', 'b', 'c'].map(() => document.createElement('button'));
+const focusable = [first, middle, last];
+assert.strictEqual(mobileMenu.getTrapTarget(focusable, last, false), first);
+assert.strictEqual(mobileMenu.getTrapTarget(focusable, first, true), last);
+assert.strictEqual(mobileMenu.getTrapTarget(focusable, middle, false), null);
+assert.strictEqual(mobileMenu.getTrapTarget(focusable, document.createElement('a'), false), first);
+assert.strictEqual(mobileMenu.getTrapTarget([], first, false), null);
+
+// Test case 2: The scroll lock pins the page at its offset and fully releases it
+const lockedBody = document.createElement('div');
+mobileMenu.lockScroll(lockedBody, 480);
+assert.strictEqual(lockedBody.style.position, 'fixed');
+assert.strictEqual(lockedBody.style.top, '-480px');
+mobileMenu.unlockScroll(lockedBody);
+assert.ok(Object.values(lockedBody.style).every(value => value === ''));
+
+// Test case 3: The hamburger opens the menu, locks the page and moves focus inside
+mobileMenu.init();
+const { hamburger, overlay } = mobileMenu;
+assert.strictEqual(hamburger.getAttribute('aria-controls'), overlay.id);
+assert.strictEqual(hamburger.getAttribute('aria-expanded'), 'false');
+
+window.scrollTo(0, 240);
+hamburger.click();
+assert.ok(mobileMenu.isOpen);
+assert.ok(hamburger.classList.contains('active') && overlay.classList.contains('active'));
+assert.strictEqual(hamburger.getAttribute('aria-expanded'), 'true');
+assert.strictEqual(hamburger.getAttribute('aria-label'), 'Close menu');
+assert.strictEqual(overlay.getAttribute('aria-hidden'), 'false');
+assert.strictEqual(document.body.style.position, 'fixed');
+assert.strictEqual(document.body.style.top, '-240px');
+assert.strictEqual(document.activeElement, mobileMenu.getFocusable()[1], 'focus moves into the menu');
+assert.ok(!document.activeElement.closest('.mobile-submenu'), 'submenu links are not in the top-level trap');
+
+// Test case 4: Tab wraps inside the open menu in both directions
+const topLevel = mobileMenu.getFocusable();
+topLevel.at(-1).focus();
+pressKey('Tab');
+assert.strictEqual(document.activeElement, hamburger);
+pressKey('Tab', { shiftKey: true });
+assert.strictEqual(document.activeElement, topLevel.at(-1));
+
+// Test case 5: Submenu triggers open their panel; Back returns to the trigger
+const trigger = overlay.querySelector('.mobile-submenu-trigger[data-submenu="careers"]');
+const panel = overlay.querySelector('.mobile-submenu[data-submenu="careers"]');
+trigger.click();
+assert.ok(panel.classList.contains('active'));
+assert.strictEqual(trigger.getAttribute('aria-expanded'), 'true');
+assert.strictEqual(document.activeElement, panel.querySelector('.mobile-back-button'));
+assert.deepStrictEqual(mobileMenu.getFocusable().slice(1), Array.from(panel.querySelectorAll(mobileMenu.focusableSelector)),
+    'the trap follows the open panel');
+
+panel.querySelector('.mobile-back-button').click();
+assert.ok(!panel.classList.contains('active'));
+assert.strictEqual(trigger.getAttribute('aria-expanded'), 'false');
+assert.strictEqual(document.activeElement, trigger, 'back returns focus to the submenu trigger');
+
+// Test case 6: Escape closes everything, restores the scroll position and focus
+trigger.click();
+pressKey('Escape');
+assert.ok(!mobileMenu.isOpen);
+assert.strictEqual(mobileMenu.stack.length, 0);
+assert.ok(!panel.classList.contains('active'));
+assert.ok(!hamburger.classList.contains('active') && !overlay.classList.contains('active'));
+assert.strictEqual(hamburger.getAttribute('aria-expanded'), 'false');
+assert.strictEqual(overlay.getAttribute('aria-hidden'), 'true');
+assert.strictEqual(document.body.style.position, '');
+assert.strictEqual(window.scrollY, 240);
+assert.strictEqual(document.activeElement, hamburger, 'focus returns to the hamburger');
+
+// Test case 7: Following a link closes the menu without pulling focus back
+hamburger.click();
+overlay.querySelector('a.mobile-menu-link[href]').click();
+assert.ok(!mobileMenu.isOpen);
+assert.notStrictEqual(document.activeElement, hamburger);
+
+// Test case 8: Growing past the desktop breakpoint closes an open menu
+hamburger.click();
+window.innerWidth = 1280;
+window.dispatchEvent(new Event('resize'));
+assert.ok(!mobileMenu.isOpen);
+
+dom.restore();
+
+console.log('mobile-menu.test.js passed');
@@ -0,0 +1,77 @@
+const assert = require('assert');
+const { scriptPath } = require('./helpers/paths');
+const { installDom } = require('./helpers/dom');
+const { VortixiaApp } = require(scriptPath);
+
+const { motion } = VortixiaApp;
+
+// Test case 1: Explicit choices win over the OS setting
+assert.strictEqual(motion.resolve('reduce', false), true);
+assert.strictEqual(motion.resolve('full', true), false);
+
+// Test case 2: No choice or stale values follow the OS setting
+assert.strictEqual(motion.resolve(null, true), true);
+assert.strictEqual(motion.resolve('sometimes', false), false);
+assert.strictEqual(motion.normalizePreference('sometimes'), null);
+
+// Test case 3: The toggle stores a choice only when it differs from the OS
+assert.strictEqual(motion.getTogglePreference(false, false), 'reduce');
+assert.strictEqual(motion.getTogglePreference(true, false), null);
+assert.strictEqual(motion.getTogglePreference(true, true), 'full');
+assert.strictEqual(motion.getTogglePreference(false, true), null);
+
+// Test case 4: Clicking the footer toggle persists the choice, updates the page and notifies modules once
+const dom = installDom({ page: 'about.html' });
+VortixiaApp.layout.render();
+
+const toggleButton = document.querySelector('.motion-toggle');
+const dispatched = [];
+document.addEventListener('vortixia:motion-change', event => dispatched.push(event.detail));
+
+motion.reduced = false;
+motion.init();
+assert.strictEqual(motion.isReduced(), false);
+assert.strictEqual(toggleButton.getAttribute('aria-pressed'), 'false');
+
+const changes = [];
+const stopListening = motion.onChange(reduced => changes.push(reduced));
+
+toggleButton.click();
+assert.strictEqual(localStorage.getItem('motion'), 'reduce');
+assert.strictEqual(motion.isReduced(), true);
+assert.ok(document.body.classList.contains('reduced-motion'));
+assert.ok(document.documentElement.classList.contains('reduced-motion'));
+assert.strictEqual(toggleButton.getAttribute('aria-pressed'), 'true');
+assert.deepStrictEqual(changes, [true]);
+assert.deepStrictEqual(dispatched, [{ reduced: true }]);
+
+// Re-applying without a change does not notify again
+motion.apply();
+assert.deepStrictEqual(changes, [true]);
+
+// Test case 5: Turning it back off clears the choice so the OS setting applies again
+toggleButton.click();
+assert.strictEqual(localStorage.getItem('motion'), null);
+assert.strictEqual(motion.isReduced(), false);
+assert.ok(!document.body.classList.contains('reduced-motion'));
+assert.strictEqual(toggleButton.getAttribute('aria-pressed'), 'false');
+
+motion.mediaQuery.setMatches(true);
+assert.strictEqual(motion.isReduced(), true, 'OS changes apply live while no choice is stored');
+
+// Test case 6: Choices made in another tab are picked up from storage events
+localStorage.setItem('motion', 'full');
+window.dispatchEvent(Object.assign(new Event('storage'), { key: 'motion' }));
+assert.strictEqual(motion.isReduced(), false);
+
+// Test case 7: Removed listeners are no longer notified
+stopListening();
+localStorage.removeItem('motion');
+window.dispatchEvent(Object.assign(new Event('storage'), { key: null }));
+assert.strictEqual(motion.isReduced(), true);
+assert.deepStrictEqual(changes, [true, false, true, false]);
+
+motion.reduced = false;
+dom.restore();
+
+console.log('motion-preferences.test.js passed');
@@ -0,0 +1,73 @@
+const assert = require('assert');
+const { scriptPath } = require('./helpers/paths');
+const { installDom } = require('./helpers/dom');
+const { VortixiaApp } = require(scriptPath);
+
+const { layout, dropdowns } = VortixiaApp;
+
+// Test case 1: Arrow keys rove through items and wrap at the ends
+assert.strictEqual(dropdowns.getNextIndex(0, 'ArrowDown', 3), 1);
+assert.strictEqual(dropdowns.getNextIndex(2, 'ArrowDown', 3), 0);
+assert.strictEqual(dropdowns.getNextIndex(0, 'ArrowUp', 3), 2);
+assert.strictEqual(dropdowns.getNextIndex(1, 'Home', 3), 0);
+assert.strictEqual(dropdowns.getNextIndex(1, 'End', 3), 2);
+
+// Test case 2: Other keys and empty menus leave focus alone
+assert.strictEqual(dropdowns.getNextIndex(1, 'ArrowRight', 3), null);
+assert.strictEqual(dropdowns.getNextIndex(0, 'ArrowDown', 0), null);
+
+// The real header, rendered from the site map
+const dom = installDom({ page: 'about.html' });
+layout.render();
+dropdowns.init();
+
+const press = (target, key) => target.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true }));
+const dropdown = document.querySelector('.nav-links .dropdown');
+const trigger = dropdown.querySelector(':scope > a');
+const menu = dropdown.querySelector(':scope > ul');
+const items = dropdowns.getItems(menu);
+
+// Test case 3: Menus get button/menu roles and start collapsed
+assert.strictEqual(trigger.getAttribute('role'), 'button');
+assert.strictEqual(trigger.getAttribute('aria-controls'), menu.id);
+assert.strictEqual(trigger.getAttribute('aria-expanded'), 'false');
+assert.strictEqual(menu.getAttribute('role'), 'menu');
+assert.ok(items.every(item => item.getAttribute('role') === 'menuitem' && item.tabIndex === -1));
+
+// Test case 4: Opening from the keyboard keeps aria-expanded and focus in step
+trigger.focus();
+press(trigger, 'ArrowUp');
+assert.ok(dropdowns.isOpen(dropdown));
+assert.strictEqual(trigger.getAttribute('aria-expanded'), 'true');
+assert.strictEqual(document.activeElement, items.at(-1));
+
+press(document.activeElement, 'ArrowDown');
+assert.strictEqual(document.activeElement, items[0], 'focus wraps to the first item');
+
+// Test case 5: Nested menus open to the right and close back to their trigger
+const nested = dropdown.querySelector('.nested-dropdown');
+const nestedTrigger = nested.querySelector(':scope > a');
+nestedTrigger.focus();
+press(nestedTrigger, 'ArrowRight');
+assert.ok(dropdowns.isOpen(nested));
+assert.strictEqual(document.activeElement, dropdowns.getItems(nested.querySelector(':scope > ul'))[0]);
+
+press(document.activeElement, 'ArrowLeft');
+assert.ok(!dropdowns.isOpen(nested));
+assert.strictEqual(document.activeElement, nestedTrigger);
+
+// Test case 6: Escape closes the menu and restores focus to the trigger
+press(nestedTrigger, 'Escape');
+assert.ok(!dropdowns.isOpen(dropdown));
+assert.strictEqual(trigger.getAttribute('aria-expanded'), 'false');
+assert.strictEqual(document.activeElement, trigger, 'closing restores focus to the trigger');
+
+// Test case 7: Clicking the trigger toggles; clicking elsewhere closes
+trigger.click();
+assert.ok(dropdowns.isOpen(dropdown));
+document.body.click();
+assert.ok(!dropdowns.isOpen(dropdown));
+
+dom.restore();
+
+console.log('nav-dropdowns.test.js passed');
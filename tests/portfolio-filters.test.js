@@ -0,0 +1,85 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { rootDir, scriptPath } = require('./helpers/paths');
+const { installDom } = require('./helpers/dom');
+const { VortixiaApp } = require(scriptPath);
+
+const { portfolio, filters } = VortixiaApp;
+
+// Test case 1: Tag labels become readable URL values
+assert.strictEqual(filters.slugify('Health &amp; Wellness'), 'health-wellness');
+assert.strictEqual(filters.slugify(' 24/7 Monitoring '), '24-7-monitoring');
+assert.deepStrictEqual(filters.parseList('Healthcare, retail,,'), ['healthcare', 'retail']);
+assert.deepStrictEqual(filters.parseList(null), []);
+
+// Test case 2: Selections within a group widen results, groups narrow them
+const retailGrowth = { values: { industry: ['retail'], capability: ['growth-strategy'], type: [] } };
+const healthcareSecurity = { values: { industry: ['healthcare'], capability: ['24-7-monitoring'], type: [] } };
+assert.strictEqual(portfolio.matches(retailGrowth, {}), true, 'no selection matches every project');
+assert.strictEqual(portfolio.matches(retailGrowth, { industry: ['retail', 'healthcare'] }), true);
+assert.strictEqual(portfolio.matches(healthcareSecurity, { industry: ['retail', 'healthcare'] }), true);
+assert.strictEqual(portfolio.matches(healthcareSecurity, { industry: ['healthcare'], capability: ['growth-strategy'] }), false);
+assert.strictEqual(portfolio.matches(retailGrowth, { industry: [], capability: ['growth-strategy'] }), true);
+
+// Test case 3: Sorting keeps the featured order as the tie-breaker
+const cloud = { order: 0, title: 'Cloud Migration', values: { industry: ['logistics'] } };
+const apps = { order: 1, title: 'Mobile App Development', values: { industry: ['health-wellness'] } };
+const shop = { order: 2, title: 'E-Commerce Platform', values: { industry: ['retail'] } };
+const sortBy = sort => [shop, apps, cloud].sort((a, b) => portfolio.compareCards(a, b, sort)).map(entry => entry.title);
+assert.deepStrictEqual(sortBy('featured'), ['Cloud Migration', 'Mobile App Development', 'E-Commerce Platform']);
+assert.deepStrictEqual(sortBy('title'), ['Cloud Migration', 'E-Commerce Platform', 'Mobile App Development']);
+assert.deepStrictEqual(sortBy('industry'), ['Mobile App Development', 'Cloud Migration', 'E-Commerce Platform']);
+
+// Test case 4: Shared links restore known filters and ignore the rest
+portfolio.labels = { industry: { healthcare: 'Healthcare', retail: 'Retail' }, capability: {}, type: {} };
+let replacedUrl = null;
+global.window = {
+    location: {
+        href: 'https://example.com/projects.html?industry=Healthcare,unknown&sort=title',
+        search: '?industry=Healthcare,unknown&sort=title'
+    },
+    history: { state: null, replaceState: (state, title, url) => { replacedUrl = String(url); } }
+};
+portfolio.readUrl();
+assert.deepStrictEqual(portfolio.state.filters, { industry: ['healthcare'], capability: [], type: [] });
+assert.strictEqual(portfolio.state.sort, 'title');
+
+portfolio.state.filters.industry.push('retail');
+portfolio.state.sort = 'featured';
+portfolio.updateUrl();
+assert.strictEqual(new URL(replacedUrl).searchParams.get('industry'), 'healthcare,retail');
+assert.strictEqual(new URL(replacedUrl).searchParams.has('sort'), false, 'the default sort stays out of the URL');
+delete global.window;
+
+// Test case 5: Filters that match nothing show the shared empty state, and clearing it restores the grid
+const dom = installDom({ page: 'projects.html' });
+portfolio.init();
+const [first, ...rest] = portfolio.index.values();
+const capability = rest.flatMap(entry => entry.values.capability).find(value => !first.values.capability.includes(value));
+portfolio.toggle('industry', first.values.industry[0]);
+portfolio.toggle('capability', capability);
+assert.ok(portfolio.cards.every(card => card.hidden), 'no project carries both tags');
+const emptyState = document.querySelector('.filter-empty-state');
+assert.strictEqual(emptyState, portfolio.emptyState);
+assert.strictEqual(emptyState.previousElementSibling, portfolio.grid, 'the empty state follows the grid');
+assert.ok(!emptyState.hidden);
+assert.strictEqual(emptyState.querySelector('p').textContent, 'No projects match all of the selected filters yet.');
+assert.strictEqual(emptyState.querySelector('a.filter-empty-link').getAttribute('href'), 'contact.html');
+assert.strictEqual(new URL(location.href).searchParams.get('capability'), capability);
+
+emptyState.querySelector('button').click();
+assert.ok(emptyState.hidden);
+assert.strictEqual(emptyState.textContent, '');
+assert.ok(portfolio.cards.every(card => !card.hidden));
+assert.strictEqual(location.search, '', 'clearing drops the filters from the URL');
+dom.restore();
+
+// Test case 6: Every project card is tagged with an industry and a capability
+const html = fs.readFileSync(path.join(rootDir, 'projects.html'), 'utf8');
+html.split('<div class="project-card"').slice(1).forEach((card, index) => {
+    assert.ok(card.includes('data-facet="industry"'), `project card ${index + 1} has no industry tag`);
+    assert.ok(card.includes('data-facet="capability"'), `project card ${index + 1} has no capability tag`);
+});
+
+console.log('portfolio-filters.test.js passed');
@@ -0,0 +1,76 @@
+const assert = require('assert');
+const { scriptPath } = require('./helpers/paths');
+const { installDom } = require('./helpers/dom');
+const { VortixiaApp } = require(scriptPath);
+
+const { positions, ui } = VortixiaApp;
+
+const chipFor = value => positions.chips.find(chip => chip.dataset.filter === value);
+const visibleDisciplines = () => positions.cards
+    .filter(card => !card.hidden)
+    .map(card => card.querySelector('.job-discipline').textContent.trim());
+const pressed = () => positions.chips.filter(chip => chip.getAttribute('aria-pressed') === 'true').map(chip => chip.dataset.filter);
+
+// Test case 1: A shared ?discipline= link preselects its chip and filters the grid
+let dom = installDom({ page: 'open-positions.html', url: 'https://vortixia.example/open-positions.html?discipline=Design', fakeTimers: true });
+positions.init();
+assert.strictEqual(positions.state.discipline, 'design');
+assert.deepStrictEqual(visibleDisciplines(), ['Design']);
+assert.deepStrictEqual(pressed(), ['design']);
+assert.ok(chipFor('design').classList.contains('active'));
+assert.ok(!chipFor('all').classList.contains('active'));
+
+// Test case 2: Clicking a chip filters the cards, moves aria-pressed and rewrites the URL
+chipFor('security').click();
+dom.clock.tick(ui.filterTransitionMs);
+assert.deepStrictEqual(visibleDisciplines(), ['Security']);
+assert.deepStrictEqual(pressed(), ['security']);
+assert.strictEqual(new URL(location.href).searchParams.get('discipline'), 'security');
+assert.strictEqual(history.length, 1, 'filtering replaces the history entry');
+assert.strictEqual(document.querySelector('.positions-results').textContent, '1 open role found.');
+
+// Test case 3: "All roles" shows every card and drops the param
+chipFor('all').click();
+assert.strictEqual(visibleDisciplines().length, positions.cards.length);
+assert.deepStrictEqual(pressed(), ['all']);
+assert.strictEqual(location.search, '');
+dom.restore();
+
+// Test case 4: Unknown disciplines in the URL fall back to all roles
+dom = installDom({ page: 'open-positions.html', url: 'https://vortixia.example/open-positions.html?discipline=juggling' });
+positions.init();
+assert.strictEqual(positions.state.discipline, 'all');
+assert.deepStrictEqual(pressed(), ['all']);
+dom.restore();
+
+// Test case 5: A discipline with no openings shows the empty state, which clears back to all roles
+dom = installDom({ page: 'open-positions.html', fakeTimers: true });
+document.querySelectorAll('.job-card').forEach(card => {
+    if (card.querySelector('.job-discipline').textContent.trim() === 'Strategy') card.remove();
+});
+positions.init();
+chipFor('strategy').click();
+dom.clock.tick(ui.filterTransitionMs);
+assert.ok(positions.cards.every(card => card.hidden));
+
+const emptyState = document.querySelector('.filter-empty-state');
+assert.ok(emptyState && !emptyState.hidden);
+assert.strictEqual(emptyState.querySelector('p').textContent, 'There are no open Strategy roles right now.');
+assert.strictEqual(emptyState.querySelector('a.filter-empty-link').getAttribute('href'), 'submit-resume.html');
+
+emptyState.querySelector('button').click();
+assert.ok(emptyState.hidden);
+assert.ok(positions.cards.every(card => !card.hidden));
+assert.deepStrictEqual(pressed(), ['all']);
+assert.strictEqual(location.search, '');
+dom.restore();
+
+// Test case 6: With no roles open at all, the message names no discipline
+dom = installDom({ page: 'open-positions.html' });
+document.querySelectorAll('.job-card').forEach(card => card.remove());
+positions.init();
+assert.strictEqual(document.querySelector('.filter-empty-state p').textContent, 'There are no open roles right now.');
+assert.strictEqual(document.querySelector('.filter-empty-state button'), null, 'there are no filters to clear');
+dom.restore();
+
+console.log('positions-filters.test.js passed');
@@ -0,0 +1,73 @@
+const assert = require('assert');
+const { scriptPath, optimizerPath } = require('./helpers/paths');
+const { installDom } = require('./helpers/dom');
+const { VortixiaApp } = require(scriptPath);
+const { debounce } = require(optimizerPath);
+
+const { positions, filters, ui } = VortixiaApp;
+
+// Test case 1: Queries are split into normalized terms
+assert.deepStrictEqual(filters.getTerms('  Remote   DATA analyst '), ['remote', 'data', 'analyst']);
+assert.deepStrictEqual(filters.getTerms(''), []);
+
+// Test case 2: Every term must match (AND semantics)
+const text = filters.normalize('Data Analyst  Strategy\n Global • Remote-first  Power BI and Tableau');
+assert.strictEqual(filters.matchesSearch(text, filters.getTerms('tableau remote')), true);
+assert.strictEqual(filters.matchesSearch(text, filters.getTerms('tableau on-site')), false);
+assert.strictEqual(filters.matchesSearch(text, []), true, 'an empty query matches every role');
+
+// Test case 3: Work mode is derived from the location text
+assert.strictEqual(positions.getWorkMode('Global • Remote-first Remote'), 'Remote');
+assert.strictEqual(positions.getWorkMode('On-site • 3 days per week Tech City, TX'), 'On-site');
+assert.strictEqual(positions.getWorkMode('Hybrid • Client-facing Tech City, TX'), 'Hybrid');
+assert.strictEqual(positions.getWorkMode('Tech City, TX'), '');
+
+// The real listing, with the optimizer's debounce in front of the search box
+const dom = installDom({ page: 'open-positions.html', fakeTimers: true });
+window.vortixiaUtils = { debounce };
+positions.facetLabels = { mode: { underwater: 'Underwater' } };
+positions.init();
+const input = positions.searchInput;
+const type = query => {
+    input.value = query;
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+};
+const visibleTitles = () => positions.cards
+    .filter(card => !card.hidden)
+    .map(card => card.querySelector('.job-title').textContent);
+const marks = () => Array.from(document.querySelectorAll('.positions-grid mark.search-highlight'), mark => mark.textContent);
+
+// Test case 4: Facet options come only from the page being shown, not one rendered earlier
+assert.ok(!positions.facetLabels.mode.underwater, 'labels from a previous page are dropped');
+assert.ok(!document.querySelector('.toolbar-facets option[value="underwater"]'));
+assert.ok(positions.facetLabels.mode.remote);
+
+// Test case 5: Typing filters the cards once the debounce settles
+type('data');
+type('data analyst');
+assert.strictEqual(visibleTitles().length, positions.cards.length, 'nothing filters while the visitor is still typing');
+dom.clock.tick(positions.searchDelay + ui.filterTransitionMs);
+assert.deepStrictEqual(visibleTitles(), ['Data Analyst']);
+assert.strictEqual(new URL(location.href).searchParams.get('q'), 'data analyst');
+assert.strictEqual(document.querySelector('.positions-results').textContent, '1 open role found.');
+
+// Test case 6: Matched terms are wrapped in highlights without changing the text
+const title = document.querySelector('.job-title mark.search-highlight').closest('.job-title');
+assert.deepStrictEqual(Array.from(title.querySelectorAll('mark'), mark => mark.textContent), ['Data', 'Analyst']);
+assert.strictEqual(title.textContent, 'Data Analyst');
+
+// Test case 7: Search combines with the discipline chips
+positions.chips.find(chip => chip.dataset.filter === 'engineering').click();
+dom.clock.tick(ui.filterTransitionMs);
+assert.deepStrictEqual(visibleTitles(), []);
+assert.strictEqual(document.querySelector('.filter-empty-state p').textContent, 'No open roles match your search and filters.');
+
+// Test case 8: Clearing the search removes the highlights and restores the cards
+positions.reset();
+assert.strictEqual(input.value, '');
+assert.strictEqual(visibleTitles().length, positions.cards.length);
+assert.deepStrictEqual(marks(), []);
+assert.strictEqual(title.childNodes.length, 1, 'highlighted text is merged back into one node');
+dom.restore();
+
+console.log('positions-search.test.js passed');
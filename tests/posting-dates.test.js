@@ -0,0 +1,43 @@
+const assert = require('assert');
+const { scriptPath } = require('./helpers/paths');
+const { VortixiaApp } = require(scriptPath);
+
+const { positions } = VortixiaApp;
+const now = new Date(2026, 9, 19, 15, 30);
+
+// Test case 1: Date-only values are read as local calendar days
+const posted = positions.parseDate('2026-10-14');
+assert.strictEqual(posted.getDate(), 14);
+assert.strictEqual(positions.getAgeInDays(posted, now), 5);
+assert.strictEqual(positions.parseDate('not a date'), null);
+
+// Test case 2: Relative labels use days, then weeks, months and years
+const label = value => positions.formatPostedDate(positions.parseDate(value), now, 'en');
+assert.strictEqual(label('2026-10-19'), 'Posted today');
+assert.strictEqual(label('2026-10-18'), 'Posted yesterday');
+assert.strictEqual(label('2026-10-14'), 'Posted 5 days ago');
+assert.strictEqual(label('2026-10-05'), 'Posted 2 weeks ago');
+assert.strictEqual(label('2026-07-19'), 'Posted 3 months ago');
+assert.strictEqual(label('2024-10-19'), 'Posted 2 years ago');
+assert.strictEqual(label('2026-10-25'), 'Posted today', 'future dates should not read as "in N days"');
+
+// Test case 3: Listings are flagged as closing soon by their age
+positions.closingSoonDays = 21;
+assert.strictEqual(positions.getPostingStatus(3), 'open');
+assert.strictEqual(positions.getPostingStatus(21), 'closing-soon');
+assert.strictEqual(positions.getPostingStatus(90), 'closing-soon', 'the static cards are never dropped');
+
+// Test case 4: Roles close on their own closing date, so the grid, menus and application page agree
+const { jobs } = VortixiaApp;
+const feed = {
+    jobs: [
+        { title: 'Open-ended', application: 'open-ended', posted: '2026-01-05' },
+        { title: 'Closes today', application: 'closes-today', posted: '2026-09-01', closes: '2026-10-19' },
+        { title: 'Closed', application: 'closed', posted: '2026-09-01', closes: '2026-10-18' }
+    ]
+};
+assert.deepStrictEqual(jobs.parseFeed(feed, now).map(job => job.title), ['Open-ended', 'Closes today']);
+assert.ok(jobs.isExpired(feed.jobs[2], now));
+assert.ok(!jobs.isExpired(feed.jobs[0], new Date(2030, 0, 1)), 'roles without a closing date never expire by age');
+
+console.log('posting-dates.test.js passed');
@@ -0,0 +1,97 @@
+const assert = require('assert');
+const { scriptPath } = require('./helpers/paths');
+const { installDom } = require('./helpers/dom');
+const { VortixiaApp } = require(scriptPath);
+
+const { uploads } = VortixiaApp;
+const MB = 1024 * 1024;
+const resumeConfig = { extensions: ['pdf', 'doc', 'docx'], maxSize: 5 * MB };
+
+// Test case 1: Allowed resumes pass
+assert.strictEqual(uploads.validateFiles([{ name: 'cv.pdf', type: 'application/pdf', size: MB }], resumeConfig), '');
+assert.strictEqual(uploads.validateFiles([{ name: 'CV.DOCX', type: '', size: MB }], resumeConfig), '',
+    'documents without a reported MIME type should be accepted by extension');
+assert.strictEqual(uploads.validateFiles([], resumeConfig), '', 'an empty selection is left to the required check');
+
+// Test case 2: Wrong extensions and mismatched MIME types are rejected
+assert.strictEqual(
+    uploads.validateFiles([{ name: 'scan.png', type: 'image/png', size: MB }], resumeConfig),
+    '"scan.png" is not a supported file type. Please upload a PDF, DOC or DOCX file.'
+);
+assert.ok(
+    uploads.validateFiles([{ name: 'scan.pdf', type: 'image/jpeg', size: MB }], resumeConfig).includes('not a supported file type'),
+    'renamed images should be rejected by MIME type'
+);
+
+// Test case 3: Oversized uploads are rejected with both sizes in the message
+assert.strictEqual(
+    uploads.validateFiles([{ name: 'scan.pdf', type: 'application/pdf', size: 30 * MB }], resumeConfig),
+    '"scan.pdf" is 30 MB. The maximum upload size is 5 MB.'
+);
+assert.strictEqual(
+    uploads.validateFiles([
+        { name: 'a.pdf', type: 'application/pdf', size: 6 * MB },
+        { name: 'b.pdf', type: 'application/pdf', size: 5 * MB }
+    ], { extensions: ['pdf'], maxSize: 10 * MB }),
+    'These files are 11 MB. The maximum upload size is 10 MB.'
+);
+
+// Test case 4: Size formatting
+assert.strictEqual(uploads.formatSize(512), '512 B');
+assert.strictEqual(uploads.formatSize(2048), '2 KB');
+assert.strictEqual(uploads.formatSize(1.25 * MB), '1.3 MB');
+
+// An optional multi-file upload and a required single-file one, rendered like the role questions
+const dom = installDom({
+    html: `<form class="application-form">
+        ${VortixiaApp.applications.renderQuestion({ type: 'file', name: 'certification-docs', label: 'Certification Documents', accept: '.pdf', maxSizeMb: 10, multiple: true })}
+        ${VortixiaApp.applications.renderQuestion({ type: 'file', name: 'resume', label: 'Resume', accept: '.pdf,.doc,.docx', required: true })}
+    </form>`
+});
+uploads.init();
+const [docs, resume] = document.querySelectorAll('.file-input');
+
+// jsdom has no DataTransfer to build a FileList from, so let each input hold a plain
+// list that clearing the value empties, as a browser's does
+[docs, resume].forEach((input) => {
+    let files = [];
+    Object.defineProperties(input, {
+        files: { get: () => files, set: (list) => { files = Array.from(list); }, configurable: true },
+        value: { get: () => (files.length ? `C:\\fakepath\\${files[0].name}` : ''), set: (value) => { if (value === '') files = []; }, configurable: true }
+    });
+});
+const containerOf = input => input.closest('.file-upload-container');
+const choose = (input, files) => {
+    input.files = files;
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+};
+
+// Test case 5: A rejected file explains why without leaving the input invalid
+choose(docs, [{ name: 'scan.png', type: 'image/png', size: MB }]);
+assert.strictEqual(docs.files.length, 0, 'the rejected selection is cleared');
+assert.ok(containerOf(docs).querySelector('.file-rejection').textContent.includes('"scan.png" is not a supported file type'));
+assert.ok(!docs.validity.customError, 'the input is not left in an error state');
+assert.strictEqual(VortixiaApp.forms.validateField(docs), true, 'an optional upload does not block submission');
+assert.strictEqual(VortixiaApp.forms.validateField(resume), false, 'a required upload still needs a file');
+
+// Test case 6: A valid choice replaces the message and can be removed again
+choose(docs, [{ name: 'cert.pdf', type: 'application/pdf', size: MB }]);
+assert.strictEqual(containerOf(docs).querySelector('.file-rejection'), null);
+assert.strictEqual(containerOf(docs).querySelector('.file-name-text').textContent, 'cert.pdf (1 MB)');
+containerOf(docs).querySelector('.file-remove').click();
+assert.strictEqual(docs.files.length, 0);
+assert.ok(!containerOf(docs).classList.contains('has-file'));
+
+// Test case 7: Several files dropped onto a single-file input are refused
+const drop = (input, files) => containerOf(input).querySelector('.file-upload-label')
+    .dispatchEvent(Object.assign(new Event('drop', { bubbles: true, cancelable: true }), { dataTransfer: { files } }));
+drop(resume, [{ name: 'a.pdf', type: 'application/pdf', size: MB }, { name: 'b.pdf', type: 'application/pdf', size: MB }]);
+assert.strictEqual(resume.files.length, 0);
+assert.strictEqual(containerOf(resume).querySelector('.file-rejection').textContent, uploads.messages.single);
+
+drop(docs, [{ name: 'a.pdf', type: 'application/pdf', size: MB }, { name: 'b.pdf', type: 'application/pdf', size: MB }]);
+assert.strictEqual(docs.files.length, 2, 'multi-file inputs accept several files');
+
+dom.restore();
+
+console.log('resume-upload.test.js passed');
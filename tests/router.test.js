@@ -0,0 +1,121 @@
+const assert = require('assert');
+const { scriptPath } = require('./helpers/paths');
+const { installDom, readPage } = require('./helpers/dom');
+const { VortixiaApp } = require(scriptPath);
+
+const { router } = VortixiaApp;
+const current = 'https://vortixia.example/about.html';
+
+(async () => {
+    // Test case 1: Same-origin page links are routed
+    assert.strictEqual(router.getRoutableUrl('team.html', current).href, 'https://vortixia.example/team.html');
+    assert.strictEqual(router.getRoutableUrl('application.html?role=data-analyst', current).search, '?role=data-analyst');
+    assert.ok(router.getRoutableUrl('index.html#services', current), 'anchors on other pages load that page');
+
+    // Test case 2: Everything else is left to the browser
+    assert.strictEqual(router.getRoutableUrl('#team', current), null);
+    assert.strictEqual(router.getRoutableUrl('about.html', current), null, 'the current page is not reloaded');
+    assert.strictEqual(router.getRoutableUrl('mailto:hello@vortixia.example', current), null);
+    assert.strictEqual(router.getRoutableUrl('https://github.com/vortixia', current), null);
+    assert.strictEqual(router.getRoutableUrl('assets/data/jobs.json', current), null);
+    assert.strictEqual(router.getRoutableUrl('team.html', current, { target: '_blank' }), null);
+    assert.strictEqual(router.getRoutableUrl('brochure.html', current, { download: true }), null);
+
+    // Test case 3: Prefetches are shared with the navigation that follows
+    const originalFetch = global.fetch;
+    const requested = [];
+    global.fetch = async (url) => {
+        requested.push(url);
+        return {
+            ok: true,
+            status: 200,
+            headers: { get: () => 'text/html; charset=utf-8' },
+            text: async () => '<main class="page-content"></main>'
+        };
+    };
+
+    const teamUrl = new URL('team.html#leadership', current);
+    await router.load(teamUrl);
+    await router.load(new URL('team.html', current));
+    assert.deepStrictEqual(requested, ['https://vortixia.example/team.html']);
+
+    // Test case 4: Failed loads are forgotten and fall back to a normal page load
+    const assigned = [];
+    global.window = { location: { assign: href => assigned.push(href) } };
+    global.fetch = async () => ({ ok: false, status: 404, headers: { get: () => 'text/html' } });
+
+    const missingUrl = new URL('missing.html', current);
+    await router.navigate(missingUrl);
+    assert.deepStrictEqual(assigned, ['https://vortixia.example/missing.html']);
+    assert.ok(!router.cache.has(router.getCacheKey(missingUrl)), 'failed pages are not cached');
+
+    global.fetch = originalFetch;
+    delete global.window;
+
+    // A real page swap from the about page to the projects page
+    const dom = installDom({ page: 'about.html' });
+    const pages = { '/projects.html': readPage('projects.html'), '/team.html': readPage('team.html') };
+    global.fetch = async url => ({
+        ok: true,
+        status: 200,
+        headers: { get: () => 'text/html' },
+        text: async () => pages[new URL(url).pathname]
+    });
+    window.fetch = global.fetch;
+    const originalRefresh = VortixiaApp.refresh;
+    VortixiaApp.refresh = () => {};
+
+    document.body.classList.add('dark-theme', 'page-loaded');
+    router.cache.clear();
+    router.init();
+    assert.notStrictEqual(history.scrollRestoration, 'manual', 'full page loads keep native scroll restoration');
+
+    // Test case 5: Page classes come from the new page while runtime classes stay
+    await router.navigate(new URL('projects.html', window.location.href));
+    assert.strictEqual(window.location.pathname, '/projects.html');
+    assert.ok(document.body.classList.contains('projects-page'), 'the projects page keeps its body class');
+    assert.ok(document.body.classList.contains('dark-theme') && document.body.classList.contains('page-loaded'));
+    assert.strictEqual(history.scrollRestoration, 'manual', 'routed entries restore scroll themselves');
+
+    await router.navigate(new URL('team.html', window.location.href));
+    assert.ok(!document.body.classList.contains('projects-page'), 'page classes do not leak onto the next page');
+    assert.ok(document.body.classList.contains('dark-theme'));
+
+    // Resolves once a Back navigation has reached the router and settled
+    const goBack = async () => {
+        const popped = new Promise(resolve => window.addEventListener('popstate', resolve, { once: true }));
+        history.back();
+        await popped;
+        await new Promise(resolve => setTimeout(resolve, 0));
+    };
+
+    // Test case 6: Back with an unsent form asks first and stays put when cancelled
+    const form = document.createElement('form');
+    VortixiaApp.drafts.dirtyForms.add(form);
+    let prompts = 0;
+    window.confirm = () => {
+        prompts++;
+        return false;
+    };
+
+    await goBack();
+    assert.strictEqual(prompts, 1);
+    assert.strictEqual(window.location.pathname, '/team.html', 'cancelling puts the current page back');
+    assert.strictEqual(document.title, 'Team - Vortixia');
+
+    // Test case 7: Confirming lets the Back navigation through
+    window.confirm = () => true;
+    await goBack();
+    assert.strictEqual(window.location.pathname, '/projects.html');
+    assert.ok(document.body.classList.contains('projects-page'));
+
+    VortixiaApp.drafts.dirtyForms.clear();
+    VortixiaApp.refresh = originalRefresh;
+    global.fetch = originalFetch;
+    dom.restore();
+
+    console.log('router.test.js passed');
+})().catch((error) => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,78 @@
+const assert = require('assert');
+const { optimizerPath } = require('./helpers/paths');
+const { createFrameScheduler } = require(optimizerPath);
+
+// Frames only run when the test flushes them, like a paused requestAnimationFrame
+const frames = [];
+const runFrame = () => frames.splice(0).forEach(callback => callback());
+
+const target = new EventTarget();
+let scrollY = 0;
+const scheduler = createFrameScheduler({
+    target,
+    requestFrame: callback => frames.push(callback),
+    readState: () => ({ scrollY, width: 1280, height: 800 })
+});
+
+// Test case 1: Events within a frame are coalesced into one flush
+const log = [];
+const unsubscribeHero = scheduler.subscribe('scroll', {
+    read: state => {
+        log.push('read:hero');
+        return state.scrollY * 2;
+    },
+    write: (measured, state) => log.push(`write:hero:${measured}:${state.scrollY}`)
+});
+const unsubscribeNav = scheduler.subscribe('scroll', {
+    read: () => log.push('read:nav') && 'nav',
+    write: measured => log.push(`write:${measured}`)
+});
+
+scrollY = 40;
+target.dispatchEvent(new Event('scroll'));
+target.dispatchEvent(new Event('scroll'));
+assert.strictEqual(frames.length, 1, 'scheduler should request a single frame for repeated events');
+runFrame();
+
+// Test case 2: Every read runs before any write
+assert.deepStrictEqual(log, ['read:hero', 'read:nav', 'write:hero:80:40', 'write:nav'],
+    'scheduler should run all reads before writes and pass each read result to its write');
+
+// Test case 3: Tasks only run for events they subscribed to
+log.length = 0;
+target.dispatchEvent(new Event('resize'));
+runFrame();
+assert.deepStrictEqual(log, [], 'scroll tasks should not run on resize');
+
+// Test case 4: A task on both events runs once per frame
+let combinedRuns = 0;
+const combined = { write: (measured, state) => {
+    combinedRuns++;
+    assert.deepStrictEqual(state.types.sort(), ['resize', 'scroll']);
+} };
+const unsubscribeCombined = scheduler.subscribe(['scroll', 'resize'], combined);
+target.dispatchEvent(new Event('scroll'));
+target.dispatchEvent(new Event('resize'));
+runFrame();
+assert.strictEqual(combinedRuns, 1, 'a task subscribed to both events should run once per frame');
+
+// Test case 5: Unsubscribed tasks stop running, via the returned function or unsubscribe()
+log.length = 0;
+unsubscribeHero();
+scheduler.unsubscribe('scroll', combined);
+target.dispatchEvent(new Event('scroll'));
+runFrame();
+assert.deepStrictEqual(log, ['read:nav', 'write:nav'], 'unsubscribed tasks should not run');
+assert.strictEqual(combinedRuns, 1);
+
+// Test case 6: Listeners detach once an event has no subscribers left
+unsubscribeNav();
+unsubscribeCombined();
+target.dispatchEvent(new Event('scroll'));
+target.dispatchEvent(new Event('resize'));
+assert.strictEqual(frames.length, 0, 'no frame should be requested without subscribers');
+
+// Test case 7: Unknown events are rejected
+assert.throws(() => scheduler.subscribe('wheel', {}), /Unknown scheduler event/);
+
+console.log('scheduler.test.js passed');
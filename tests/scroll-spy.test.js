@@ -0,0 +1,32 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { rootDir, scriptPath } = require('./helpers/paths');
+const { VortixiaApp } = require(scriptPath);
+
+const { navigation, layout } = VortixiaApp;
+
+// Test case 1: The first visible section in page order is the current one
+const ids = ['home', 'about', 'services', 'projects', 'team', 'contact'];
+assert.strictEqual(navigation.getCurrentSection(ids, new Set(['services', 'about'])), 'about');
+assert.strictEqual(navigation.getCurrentSection(ids, new Set(['contact'])), 'contact');
+assert.strictEqual(navigation.getCurrentSection(ids, new Set()), null);
+
+// Test case 2: Scrolling down hides the header, so no room is left for it
+assert.strictEqual(navigation.getScrollOffset(2400, 0, 120), 0);
+
+// Test case 3: Scrolling up (or to a section near the top) leaves room for the header
+assert.strictEqual(navigation.getScrollOffset(800, 2400, 120), 120);
+assert.strictEqual(navigation.getScrollOffset(150, 0, 120), 120);
+
+// Test case 4: Site-map links carry the section they stand for on the home page
+const header = layout.renderHeader(layout.siteMap);
+const mobileMenu = layout.renderMobileMenu(layout.siteMap);
+const homePage = fs.readFileSync(path.join(rootDir, navigation.scrollSpyPage), 'utf8');
+ids.forEach((id) => {
+    assert.ok(homePage.includes(`<section id="${id}"`), `${navigation.scrollSpyPage} has no #${id} section`);
+    assert.ok(header.includes(`data-section="${id}"`), `header link for #${id} is missing`);
+    assert.ok(mobileMenu.includes(`data-section="${id}"`), `mobile link for #${id} is missing`);
+});
+
+console.log('scroll-spy.test.js passed');
@@ -0,0 +1,49 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { rootDir, scriptPath } = require('./helpers/paths');
+const { VortixiaApp } = require(scriptPath);
+
+const { layout } = VortixiaApp;
+const { siteMap } = layout;
+
+const collectLinks = items => items.flatMap(item => (item.children ? collectLinks(item.children) : [item.href]));
+
+// Test case 1: Every page in the primary navigation exists
+collectLinks(siteMap.primary).forEach((href) => {
+    const file = href.split('?')[0];
+    assert.ok(fs.existsSync(path.join(rootDir, file)), `${href} in the site map points to a missing page`);
+});
+
+// Test case 2: The header renders each entry with dropdowns for nested ones
+const header = layout.renderHeader(siteMap);
+collectLinks(siteMap.primary).forEach((href) => {
+    assert.ok(header.includes(`href="${href}"`), `header is missing ${href}`);
+});
+assert.ok(header.includes('class="dropdown-trigger"') && header.includes('class="nested-dropdown-menu"'));
+assert.ok(header.includes('class="theme-toggle"') && header.includes('class="hamburger"'));
+
+// Test case 3: Mobile submenus are flattened into panels that name their parent
+const mobileMenu = layout.renderMobileMenu(siteMap);
+assert.ok(mobileMenu.includes('data-submenu="careers"') && mobileMenu.includes('data-submenu="applications"'));
+assert.ok(mobileMenu.includes('<span>Back to Menu</span>'));
+assert.ok(mobileMenu.includes('<span>Back to Careers</span>'));
+
+// Test case 4: Labels are escaped
+const unsafeMap = { ...siteMap, primary: [{ label: '<b>News</b>', href: 'news.html', icon: 'fa-newspaper' }] };
+assert.ok(layout.renderHeader(unsafeMap).includes('&lt;b&gt;News&lt;/b&gt;'));
+
+// Test case 5: Pages provide empty shells instead of their own copies
+fs.readdirSync(rootDir)
+    .filter(file => file.endsWith('.html'))
+    .forEach((file) => {
+        const html = fs.readFileSync(path.join(rootDir, file), 'utf8');
+        if (!html.includes('assets/js/script.js')) return; // redirect stubs
+
+        ['header', 'mobile-menu', 'footer'].forEach((shell) => {
+            assert.ok(html.includes(`data-layout="${shell}"></`), `${file} should provide an empty ${shell} shell`);
+        });
+        assert.ok(!html.includes('class="nav-links"'), `${file} still carries its own navigation`);
+    });
+
+console.log('site-layout.test.js passed');
@@ -0,0 +1,70 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { rootDir, scriptPath } = require('./helpers/paths');
+const { installDom } = require('./helpers/dom');
+const { VortixiaApp } = require(scriptPath);
+
+const { teamDirectory } = VortixiaApp;
+
+const designer = { tags: ['design-systems', 'ux-research'], text: 'emily johnson principal designer design systems ux research' };
+const engineer = { tags: ['cloud-native', 'devops'], text: 'jane smith lead developer cloud native devops' };
+
+// Test case 1: Any selected skill matches
+assert.strictEqual(teamDirectory.matches(designer, { tags: [], query: '' }), true, 'no filters show everyone');
+assert.strictEqual(teamDirectory.matches(designer, { tags: ['ux-research', 'devops'], query: '' }), true);
+assert.strictEqual(teamDirectory.matches(engineer, { tags: ['ux-research', 'devops'], query: '' }), true);
+assert.strictEqual(teamDirectory.matches(engineer, { tags: ['ux-research'], query: '' }), false);
+
+// Test case 2: Search covers name, role and skills, and combines with skills
+assert.strictEqual(teamDirectory.matches(engineer, { tags: [], query: 'Jane' }), true);
+assert.strictEqual(teamDirectory.matches(engineer, { tags: [], query: 'lead devops' }), true);
+assert.strictEqual(teamDirectory.matches(designer, { tags: [], query: 'developer' }), false);
+assert.strictEqual(teamDirectory.matches(designer, { tags: ['ux-research'], query: 'jane' }), false);
+
+// Test case 3: Shared links restore known skills only
+teamDirectory.tagLabels = { 'ux-research': 'UX Research', devops: 'DevOps' };
+global.window = { location: { search: '?expertise=UX%20Research,juggling&q=lead' } };
+teamDirectory.readUrl();
+assert.deepStrictEqual(teamDirectory.state.tags, ['ux-research']);
+assert.strictEqual(teamDirectory.state.query, 'lead');
+delete global.window;
+
+// Test case 4: Every member has skills to filter by and a profile panel to expand
+const html = fs.readFileSync(path.join(rootDir, 'team.html'), 'utf8');
+const members = html.split('<article class="team-member').slice(1);
+assert.ok(members.length > 0);
+members.forEach((member, index) => {
+    assert.ok(member.includes('class="member-tag"'), `team member ${index + 1} has no expertise tags`);
+    assert.ok(/class="member-profile" id="profile-[a-z-]+"/.test(member), `team member ${index + 1} has no profile panel`);
+});
+
+// Test case 5: Searching the real page filters members, highlights names and syncs the URL
+const dom = installDom({ page: 'team.html', fakeTimers: true });
+teamDirectory.init();
+const { searchInput } = teamDirectory;
+const search = query => {
+    searchInput.value = query;
+    searchInput.dispatchEvent(new Event('input', { bubbles: true }));
+    dom.clock.tick(VortixiaApp.ui.filterTransitionMs);
+};
+
+search('emily');
+const visible = teamDirectory.members.filter(member => !member.hidden);
+assert.strictEqual(visible.length, 1);
+assert.strictEqual(visible[0].querySelector('h3 mark.search-highlight').textContent.toLowerCase(), 'emily');
+assert.strictEqual(new URL(location.href).searchParams.get('q'), 'emily');
+
+// Test case 6: A search that matches nobody shows the empty state; clearing it resets everything
+search('zzz-nobody');
+const emptyState = document.querySelector('.filter-empty-state');
+assert.ok(emptyState && !emptyState.hidden);
+assert.strictEqual(emptyState.querySelector('p').textContent, 'Nobody on the team matches that search yet.');
+emptyState.querySelector('button').click();
+assert.strictEqual(searchInput.value, '');
+assert.ok(teamDirectory.members.every(member => !member.hidden));
+assert.strictEqual(document.querySelectorAll('mark.search-highlight').length, 0);
+assert.strictEqual(location.search, '');
+dom.restore();
+
+console.log('team-directory.test.js passed');
@@ -0,0 +1,45 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { rootDir, themeBootstrapPath } = require('./helpers/paths');
+const { resolveTheme, readSaved, resolveReducedMotion } = require(themeBootstrapPath);
+
+// Test case 1: Explicit choices win over the OS setting
+assert.strictEqual(resolveTheme('dark', false), 'dark');
+assert.strictEqual(resolveTheme('light', true), 'light');
+
+// Test case 2: No choice, "system" or stale values follow the OS setting
+assert.strictEqual(resolveTheme(null, true), 'dark');
+assert.strictEqual(resolveTheme('system', false), 'light');
+assert.strictEqual(resolveTheme('sepia', true), 'dark');
+
+// Test case 3: Unavailable storage reads as no choice
+const blockedStorage = {
+    getItem() {
+        throw new Error('SecurityError: storage is disabled');
+    }
+};
+assert.strictEqual(readSaved(blockedStorage, 'theme'), null);
+assert.strictEqual(readSaved(null, 'theme'), null);
+assert.strictEqual(readSaved({ getItem: key => (key === 'theme' ? 'dark' : null) }, 'theme'), 'dark');
+
+// Test case 4: The saved motion choice wins over the OS setting, like the theme
+assert.strictEqual(resolveReducedMotion('reduce', false), true);
+assert.strictEqual(resolveReducedMotion('full', true), false);
+assert.strictEqual(resolveReducedMotion(null, true), true);
+assert.strictEqual(readSaved({ getItem: key => (key === 'motion' ? 'reduce' : null) }, 'motion'), 'reduce');
+
+// Test case 5: Pages load the shared bootstrap instead of carrying their own copy
+fs.readdirSync(rootDir)
+    .filter(file => file.endsWith('.html'))
+    .forEach((file) => {
+        const html = fs.readFileSync(path.join(rootDir, file), 'utf8');
+        assert.ok(!html.includes("localStorage.getItem('theme')"), `${file} still inlines the theme bootstrap`);
+        if (!html.includes('assets/css/style.css')) return; // redirect stubs have no theme
+
+        const bootstrapAt = html.indexOf('assets/js/theme-bootstrap.js');
+        assert.ok(bootstrapAt !== -1, `${file} does not load theme-bootstrap.js`);
+        assert.ok(bootstrapAt < html.indexOf('assets/css/style.css'), `${file} should load the bootstrap before the stylesheet`);
+    });
+
+console.log('theme-bootstrap.test.js passed');
@@ -0,0 +1,25 @@
+const assert = require('assert');
+const { scriptPath } = require('./helpers/paths');
+const { VortixiaApp } = require(scriptPath);
+
+const { theme } = VortixiaApp;
+
+// Test case 1: Explicit choices win over the OS colour scheme
+assert.strictEqual(theme.resolve('light', true), 'light');
+assert.strictEqual(theme.resolve('dark', false), 'dark');
+
+// Test case 2: System mode follows the OS colour scheme
+assert.strictEqual(theme.resolve('system', true), 'dark');
+assert.strictEqual(theme.resolve('system', false), 'light');
+
+// Test case 3: Missing or unknown stored values fall back to system
+assert.strictEqual(theme.normalizeMode(null), 'system');
+assert.strictEqual(theme.normalizeMode('sepia'), 'system');
+assert.strictEqual(theme.resolve(null, true), 'dark');
+
+// Test case 4: The toggle cycles through every mode
+assert.strictEqual(theme.getNextMode('light'), 'dark');
+assert.strictEqual(theme.getNextMode('dark'), 'system');
+assert.strictEqual(theme.getNextMode('system'), 'light');
+
+console.log('theme-modes.test.js passed');